@@ -7,7 +7,15 @@ require('dotenv').config();
 // Services
 const resumeParser = require('./services/resumeParser');
 const jobSearch = require('./services/jobSearch');
+const queryPlanner = require('./services/queryPlanner');
 const jobMatcher = require('./services/jobMatcher');
+const profileExport = require('./services/profileExport');
+const roleTaxonomy = require('./services/roleTaxonomy');
+const taxonomyPacks = require('./services/taxonomyPacks');
+const jobProviders = require('./services/jobProviders');
+const searchCache = require('./services/searchCache');
+const salaryParser = require('./services/salaryParser');
+const postingDates = require('./services/postingDates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,13 +41,25 @@ const fileFilter = (req, file, cb) => {
   const allowedTypes = [
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'application/rtf',
+    'text/rtf',
+    'application/vnd.oasis.opendocument.text',
+    'text/html',
+    'text/markdown',
+    'text/x-markdown',
+    'application/json'
   ];
 
-  if (allowedTypes.includes(file.mimetype)) {
+  // Browsers often send Markdown and JSON as application/octet-stream,
+  // so a known extension is accepted as well
+  const allowedExtensions = ['.pdf', '.docx', '.txt', '.rtf', '.odt', '.html', '.htm', '.md', '.markdown', '.json'];
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'), false);
+    cb(new Error('Invalid file type. Allowed formats: PDF, DOCX, TXT, RTF, ODT, HTML, Markdown and JSON Resume.'), false);
   }
 };
 
@@ -51,13 +71,22 @@ const upload = multer({
 
 // Middleware
 app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// The review form carries the whole parsed profile
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // View engine setup
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Helpers available in every view
+app.locals.formatSalary = salary => salaryParser.format(salary);
+app.locals.annualSalary = salary => salaryParser.annualValue(salary);
+app.locals.postedAge = posted => postingDates.formatAge(posted);
+
+// Debugging routes exist only in development; elsewhere they are not found
+const developmentOnly = (req, res, next) => (process.env.NODE_ENV === 'development' ? next() : next('route'));
+
 // ============================================
 // ROUTES
 // ============================================
@@ -69,10 +98,10 @@ app.get('/', (req, res) => {
 
 // Upload page
 app.get('/upload', (req, res) => {
-  res.render('upload');
+  res.render('upload', { radiusOptions: jobSearch.radiusOptions });
 });
 
-// Analyze resume and find jobs
+// Analyze resume and show the parsed profile for review
 app.post('/analyze', upload.single('resume'), async (req, res) => {
   try {
     // Check if file was uploaded
@@ -88,38 +117,41 @@ app.post('/analyze', upload.single('resume'), async (req, res) => {
     // Step 1: Parse the resume
     const resumeData = await resumeParser.parse(req.file.path);
     console.log('Resume parsed:', {
-      roles: resumeData.roles.length,
+      positions: resumeData.positions.length,
       skills: resumeData.skills.technical.length,
       primaryRole: resumeData.primaryRole?.title,
       totalYears: resumeData.totalYearsExperience
     });
+    console.log('Parse diagnostics:', {
+      method: resumeData.diagnostics.method,
+      textLength: resumeData.diagnostics.textLength,
+      sections: resumeData.diagnostics.sectionsFound,
+      lowConfidence: resumeData.diagnostics.lowConfidence
+    });
     // Debug: Show extracted text preview
     console.log('--- RAW TEXT PREVIEW (first 500 chars) ---');
     console.log(resumeData.rawText?.substring(0, 500));
     console.log('--- END PREVIEW ---');
 
-    // Step 2: Search for relevant jobs
-    const jobs = await jobSearch.searchJobs(resumeData);
-    console.log('Jobs found:', jobs.length);
-
-    // Step 3: Match and categorize jobs
-    const matchedJobs = jobMatcher.matchJobs(resumeData, jobs);
-    console.log('Matched:', {
-      recommended: matchedJobs.recommended.length,
-      worthExploring: matchedJobs.worthExploring.length
-    });
-
     // Clean up uploaded file (privacy)
     fs.unlink(req.file.path, (err) => {
       if (err) console.error('Error deleting file:', err);
     });
 
-    // Render results page
-    res.render('results', {
+    // Step 2: Let the user correct the profile and search location before searching
+    const search = req.body.search || {};
+    const searchRegion = jobSearch.getSearchRegion(resumeData, search);
+    res.render('review', {
       resumeData,
-      recommended: matchedJobs.recommended,
-      worthExploring: matchedJobs.worthExploring,
-      totalJobs: matchedJobs.all.length
+      profile: profileExport.toJagentProfile(resumeData),
+      roleTypes: roleTaxonomy.types(),
+      seniorityLevels: Object.keys(resumeParser.seniorityIndicators).reverse(),
+      searchRegion,
+      searchPreferences: queryPlanner.preferencesOf(search),
+      searchLocation: search.location?.trim() || (resumeData.contact?.location ? jobSearch.placeOf(searchRegion) : ''),
+      defaultCountry: jobSearch.getSearchRegion({}).country,
+      radiusOptions: jobSearch.radiusOptions,
+      postedWithinOptions: jobSearch.postedWithinOptions
     });
 
   } catch (error) {
@@ -137,6 +169,87 @@ app.post('/analyze', upload.single('resume'), async (req, res) => {
   }
 });
 
+// Search for jobs with the reviewed profile
+app.post('/search', async (req, res) => {
+  try {
+    // The review page carries the parsed profile in a hidden field
+    const parsed = profileExport.fromJagentProfile(JSON.parse(req.body.profile || '{}'));
+    const resumeData = resumeParser.applyReview(parsed, req.body);
+    console.log('Profile reviewed:', {
+      positions: resumeData.positions.length,
+      primaryRole: resumeData.primaryRole?.title,
+      seniority: resumeData.seniorityLevel
+    });
+
+    // Step 3: Search for relevant jobs
+    const searchRegion = jobSearch.getSearchRegion(resumeData, req.body.search);
+    const { jobs, report } = await jobSearch.searchJobs(resumeData, searchRegion, queryPlanner.preferencesOf(req.body.search));
+    console.log('Jobs found:', jobs.length, report.providers);
+
+    // Step 4: Match and categorize jobs
+    const matchedJobs = jobMatcher.matchJobs(resumeData, jobs);
+    console.log('Matched:', {
+      recommended: matchedJobs.recommended.length,
+      worthExploring: matchedJobs.worthExploring.length
+    });
+
+    // Render results page
+    res.render('results', {
+      resumeData,
+      exportFiles: {
+        profile: profileExport.toJagentProfile(resumeData),
+        jsonResume: profileExport.toJSONResume(resumeData)
+      },
+      recommended: matchedJobs.recommended,
+      worthExploring: matchedJobs.worthExploring,
+      totalJobs: matchedJobs.all.length,
+      searchDescription: jobSearch.describeRegion(searchRegion),
+      salaryCurrency: salaryParser.currencyOf(searchRegion.countryCode) || 'USD',
+      searchReport: report,
+      debug: process.env.NODE_ENV === 'development'
+    });
+
+  } catch (error) {
+    console.error('Error searching jobs:', error);
+
+    res.status(500).render('error', {
+      message: 'We had trouble searching with your profile. Please upload your resume again.',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+});
+
+// Debug view: the full parse result and diagnostics as JSON
+app.post('/api/parse', developmentOnly, upload.single('resume'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Please upload a resume file' });
+  }
+
+  try {
+    const resumeData = await resumeParser.parse(req.file.path);
+    res.json(resumeData);
+  } catch (error) {
+    res.status(422).json({ error: error.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+// Taxonomy packs found at startup, with validation errors for rejected ones
+app.get('/api/taxonomy/packs', (req, res) => {
+  res.json(taxonomyPacks.list());
+});
+
+// Job providers with their config, circuit breaker and quota state
+app.get('/api/providers', (req, res) => {
+  res.json(jobProviders.list());
+});
+
+// Job search cache hit/miss counts and disk usage
+app.get('/api/cache', (req, res) => {
+  res.json(searchCache.summary());
+});
+
 // API endpoint for job details (optional AJAX support)
 app.get('/api/job/:id', (req, res) => {
   // For future use - could store job details in session and retrieve here
@@ -196,8 +309,19 @@ app.listen(PORT, () => {
   Routes:
   • GET  /         - Welcome page
   • GET  /upload   - Resume upload page
-  • POST /analyze  - Process resume & show results
+  • POST /analyze  - Parse resume & show the review page
+  • POST /search   - Search & match with the reviewed profile
+  • GET  /api/taxonomy/packs, /api/providers, /api/cache - Status as JSON${process.env.NODE_ENV === 'development' ? `
+  • POST /api/parse - Parse result as JSON (development only)` : ''}
   `);
+
+  const packs = taxonomyPacks.active();
+  console.log(packs.length > 0
+    ? `  Taxonomy packs: ${packs.map(pack => `${pack.name}@${pack.version} (${pack.mode})`).join(', ')}`
+    : '  Taxonomy packs: none (built-in vocabularies only)');
+  console.log(searchCache.enabled()
+    ? `  Search cache: ${searchCache.directory} (fresh ${searchCache.ttl}s, stale ${searchCache.staleTtl}s)`
+    : '  Search cache: off');
 });
 
 module.exports = app;
@@ -0,0 +1,426 @@
+/**
+ * Contact Extractor
+ * Reads the candidate's location, time zone, profile links, remote/hybrid
+ * preference and work-authorization statements from resume text.
+ * Location and preferences are looked for near the top of the resume (header
+ * and summary); links and work authorization anywhere.
+ */
+
+class ContactExtractor {
+  constructor() {
+    // Header lines scanned for a location; further down it is usually a job's location
+    this.headerLines = 8;
+
+    this.usStates = {
+      AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+      CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+      HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+      LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+      MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+      NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+      OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+      SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+      WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+    };
+
+    this.caProvinces = {
+      AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+      NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan'
+    };
+
+    // IANA time zone by US state or Canadian province; states split across zones use the larger part
+    this.regionTimeZones = {
+      'America/New_York': ['CT', 'DE', 'DC', 'FL', 'GA', 'IN', 'KY', 'ME', 'MD', 'MA', 'MI', 'NH', 'NJ', 'NY',
+        'NC', 'OH', 'PA', 'RI', 'SC', 'VT', 'VA', 'WV'],
+      'America/Chicago': ['AL', 'AR', 'IL', 'IA', 'KS', 'LA', 'MN', 'MS', 'MO', 'NE', 'ND', 'OK', 'SD', 'TN', 'TX', 'WI'],
+      'America/Denver': ['CO', 'ID', 'MT', 'NM', 'UT', 'WY'],
+      'America/Phoenix': ['AZ'],
+      'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+      'America/Anchorage': ['AK'],
+      'Pacific/Honolulu': ['HI'],
+      'America/Toronto': ['ON', 'QC'],
+      'America/Vancouver': ['BC'],
+      'America/Edmonton': ['AB'],
+      'America/Winnipeg': ['MB'],
+      'America/Regina': ['SK'],
+      'America/Halifax': ['NS', 'PE'],
+      'America/Moncton': ['NB'],
+      'America/St_Johns': ['NL']
+    };
+
+    // Countries by ISO 3166-1 alpha-2 code; timeZone only where the country has one zone
+    this.countries = [
+      { code: 'us', name: 'United States', aliases: ['usa', 'united states of america', 'u.s.', 'u.s.a.'] },
+      { code: 'ca', name: 'Canada', aliases: [] },
+      { code: 'gb', name: 'United Kingdom', aliases: ['uk', 'u.k.', 'great britain', 'england', 'scotland', 'wales'], timeZone: 'Europe/London' },
+      { code: 'ie', name: 'Ireland', aliases: [], timeZone: 'Europe/Dublin' },
+      { code: 'de', name: 'Germany', aliases: ['deutschland'], timeZone: 'Europe/Berlin' },
+      { code: 'fr', name: 'France', aliases: [], timeZone: 'Europe/Paris' },
+      { code: 'nl', name: 'Netherlands', aliases: ['the netherlands', 'holland'], timeZone: 'Europe/Amsterdam' },
+      { code: 'be', name: 'Belgium', aliases: [], timeZone: 'Europe/Brussels' },
+      { code: 'es', name: 'Spain', aliases: [], timeZone: 'Europe/Madrid' },
+      { code: 'it', name: 'Italy', aliases: [], timeZone: 'Europe/Rome' },
+      { code: 'ch', name: 'Switzerland', aliases: [], timeZone: 'Europe/Zurich' },
+      { code: 'at', name: 'Austria', aliases: [], timeZone: 'Europe/Vienna' },
+      { code: 'pl', name: 'Poland', aliases: [], timeZone: 'Europe/Warsaw' },
+      { code: 'se', name: 'Sweden', aliases: [], timeZone: 'Europe/Stockholm' },
+      { code: 'in', name: 'India', aliases: [], timeZone: 'Asia/Kolkata' },
+      { code: 'sg', name: 'Singapore', aliases: [], timeZone: 'Asia/Singapore' },
+      { code: 'au', name: 'Australia', aliases: [] },
+      { code: 'nz', name: 'New Zealand', aliases: [], timeZone: 'Pacific/Auckland' },
+      { code: 'za', name: 'South Africa', aliases: [], timeZone: 'Africa/Johannesburg' },
+      { code: 'br', name: 'Brazil', aliases: ['brasil'], timeZone: 'America/Sao_Paulo' },
+      { code: 'mx', name: 'Mexico', aliases: ['méxico'], timeZone: 'America/Mexico_City' }
+    ];
+
+    // Cities often written without a region or country
+    this.cities = {
+      'new york': { country: 'us', region: 'NY' }, 'nyc': { country: 'us', region: 'NY', name: 'New York' },
+      'san francisco': { country: 'us', region: 'CA' }, 'los angeles': { country: 'us', region: 'CA' },
+      'seattle': { country: 'us', region: 'WA' }, 'austin': { country: 'us', region: 'TX' },
+      'boston': { country: 'us', region: 'MA' }, 'chicago': { country: 'us', region: 'IL' },
+      'denver': { country: 'us', region: 'CO' },
+      'toronto': { country: 'ca', region: 'ON' }, 'vancouver': { country: 'ca', region: 'BC' },
+      'montreal': { country: 'ca', region: 'QC' },
+      'london': { country: 'gb' }, 'manchester': { country: 'gb' }, 'edinburgh': { country: 'gb' },
+      'dublin': { country: 'ie' }, 'berlin': { country: 'de' }, 'munich': { country: 'de' },
+      'paris': { country: 'fr' }, 'amsterdam': { country: 'nl' }, 'madrid': { country: 'es' },
+      'barcelona': { country: 'es' }, 'milan': { country: 'it' }, 'zurich': { country: 'ch' },
+      'vienna': { country: 'at' }, 'brussels': { country: 'be' }, 'warsaw': { country: 'pl' },
+      'stockholm': { country: 'se' },
+      'bangalore': { country: 'in' }, 'bengaluru': { country: 'in' }, 'mumbai': { country: 'in' },
+      'new delhi': { country: 'in' }, 'delhi': { country: 'in' }, 'hyderabad': { country: 'in' },
+      'pune': { country: 'in' }, 'chennai': { country: 'in' },
+      'singapore': { country: 'sg' },
+      'sydney': { country: 'au', timeZone: 'Australia/Sydney' }, 'melbourne': { country: 'au', timeZone: 'Australia/Melbourne' },
+      'brisbane': { country: 'au', timeZone: 'Australia/Brisbane' }, 'perth': { country: 'au', timeZone: 'Australia/Perth' },
+      'auckland': { country: 'nz' }, 'cape town': { country: 'za' }, 'johannesburg': { country: 'za' },
+      'sao paulo': { country: 'br' }, 'são paulo': { country: 'br' }, 'mexico city': { country: 'mx' }
+    };
+
+    // Time zones stated outright, e.g. "EST", "Pacific Time", "UTC+1"
+    this.statedTimeZones = [
+      { pattern: /\b(?:PST|PDT|Pacific Time)\b/, timeZone: 'America/Los_Angeles' },
+      { pattern: /\b(?:MST|MDT|Mountain Time)\b/, timeZone: 'America/Denver' },
+      { pattern: /\b(?:CST|CDT|Central Time)\b/, timeZone: 'America/Chicago' },
+      { pattern: /\b(?:EST|EDT|Eastern Time)\b/, timeZone: 'America/New_York' },
+      { pattern: /\b(?:CET|CEST|Central European Time)\b/, timeZone: 'Europe/Paris' },
+      { pattern: /\b(?:GMT|BST)\b(?!\s*[+-])/, timeZone: 'Europe/London' },
+      { pattern: /\bIST\b/, timeZone: 'Asia/Kolkata' },
+      { pattern: /\b(?:AEST|AEDT)\b/, timeZone: 'Australia/Sydney' }
+    ];
+    this.utcOffsetPattern = /\b(?:UTC|GMT)\s*([+-−])\s*(\d{1,2})(?::00)?\b/;
+
+    this.linkPatterns = {
+      linkedin: /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w%-]+\/?/i,
+      github: /(?:https?:\/\/)?(?:www\.)?github\.com\/[\w-]+(?:\/[\w.-]+)?/i
+    };
+    // Any other web address in the header is taken as a portfolio
+    this.urlPattern = /(?<![@\w.])(?:https?:\/\/)?(?:www\.)?[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|dev|io|me|net|org|design|co|app|site|page|xyz|ai)(?:\/[^\s|,;)]*)?(?![\w@])/i;
+
+    const wanting = '(?:open to|prefer(?:s|red|ring)?|seeking|looking for|available for|interested in|want(?:ing)?)';
+    this.preferencePatterns = {
+      remote: new RegExp(`\\b${wanting}\\b[^.\\n]{0,40}\\bremote\\b|\\bremote[- ]only\\b|^\\(?remote\\)?$`, 'i'),
+      hybrid: new RegExp(`\\b${wanting}\\b[^.\\n]{0,40}\\bhybrid\\b`, 'i'),
+      onsite: new RegExp(`\\b${wanting}\\b[^.\\n]{0,40}\\b(?:on-?site|in[- ]office|in[- ]person)\\b`, 'i')
+    };
+    // Job locations that mean the work is remote
+    this.remotePattern = /\b(?:remote|work from home|wfh|anywhere)\b/i;
+    this.relocationPatterns = {
+      no: /\b(?:not|unable to|cannot)\s+(?:open to\s+|willing to\s+|able to\s+)?relocat/i,
+      yes: /\b(?:open to|willing to|happy to|able to|can)\s+relocat/i
+    };
+
+    // Work authorization: negative sponsorship statements are checked first
+    this.authorizationPatterns = {
+      noSponsorship: /\b(?:no|without|not|never|don't|do not|does not)\b[^.\n]{0,30}\bsponsorship\b/i,
+      sponsorship: /\b(?:require|requires|need|needs|will require|seeking)\b[^.\n]{0,20}\bsponsorship\b/i,
+      authorized: /\b(?:authori[sz]ed to work|eligible to work|right to work|work authori[sz]ation|citizen(?:ship)?|green card|permanent resident|work permit)\b/i,
+      visa: /\b(?:H-?1B|OPT|STEM OPT|TN [Vv]isa|L-?1|E-?3|[Bb]lue [Cc]ard|[Ss]killed [Ww]orker [Vv]isa|[Tt]ier 2)\b/
+    };
+
+    this.compile();
+  }
+
+  /**
+   * Build lookup tables from the country and time zone lists
+   */
+  compile() {
+    this.countryByAlias = new Map();
+    this.countryByCode = new Map();
+    for (const country of this.countries) {
+      this.countryByCode.set(country.code, country);
+      for (const alias of [country.name, ...country.aliases]) {
+        this.countryByAlias.set(alias.toLowerCase(), country);
+      }
+    }
+
+    this.stateByName = new Map(Object.entries(this.usStates).map(([code, name]) => [name.toLowerCase(), code]));
+    this.provinceByName = new Map(Object.entries(this.caProvinces).map(([code, name]) => [name.toLowerCase(), code]));
+
+    this.timeZoneByRegion = new Map();
+    for (const [timeZone, regions] of Object.entries(this.regionTimeZones)) {
+      regions.forEach(region => this.timeZoneByRegion.set(region, timeZone));
+    }
+  }
+
+  /**
+   * Extract contact details and preferences
+   * @param {string} text - Resume text
+   * @param {Object} sections - Lines per section from the parser's splitSections
+   * @returns {Object} { location, timeZone, links, workPreference, workAuthorization }
+   */
+  extract(text, sections = {}) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const topLines = [...(sections.header || lines).slice(0, this.headerLines), ...(sections.summary || [])];
+
+    const location = this.findLocation(topLines);
+
+    return {
+      location,
+      timeZone: this.findTimeZone(topLines, location),
+      links: this.findLinks(lines, topLines),
+      workPreference: this.findWorkPreference(topLines),
+      workAuthorization: this.findWorkAuthorization(lines)
+    };
+  }
+
+  /**
+   * First segment of the given lines that reads as a place
+   * @returns {Object|null} { city, region, country, countryCode, text }
+   */
+  findLocation(lines) {
+    for (const line of lines) {
+      for (const segment of line.split(/\s*[|•·–—]\s*|\s{2,}/)) {
+        const location = this.parseLocation(segment.replace(/^(?:location|based in|address)\s*:?\s*/i, ''));
+        if (location) return location;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse "City, ST", "City, Region, Country", "City, Country", a country
+   * or a well-known city on its own
+   */
+  parseLocation(segment) {
+    const value = segment.replace(/\(.*?\)/g, '').trim();
+    if (!value || value.length > 60 || /[@:/]|\d{6,}/.test(value)) return null;
+
+    const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0 || parts.length > 3) return null;
+
+    let country = null;
+    let region = null;
+
+    // A trailing country; two-letter codes only count after a comma ("Austin, TX, US")
+    const last = parts[parts.length - 1];
+    const lastCountry = this.countryByAlias.get(last.toLowerCase()) ||
+      (parts.length > 1 && /^[A-Z]{2}$/.test(last) && last !== 'CA' ? this.countryByCode.get(last.toLowerCase()) : null) ||
+      (parts.length > 1 && last === 'UK' ? this.countryByCode.get('gb') : null);
+    if (lastCountry) {
+      country = lastCountry;
+      parts.pop();
+    }
+
+    // A US state or Canadian province, by code (with an optional ZIP) or by name
+    if (parts.length > 1 || (parts.length === 1 && !country && this.regionCode(parts[0]))) {
+      const code = this.regionCode(parts[parts.length - 1]);
+      if (code && (!country || ['us', 'ca'].includes(country.code))) {
+        region = code;
+        country = country || this.countryByCode.get(this.usStates[code] ? 'us' : 'ca');
+        parts.pop();
+      }
+    }
+
+    const cityName = parts.length === 1 ? parts[0] : null;
+    const known = cityName ? this.cities[cityName.toLowerCase()] : null;
+
+    if (!country && !region) {
+      if (!known) return null;
+      country = this.countryByCode.get(known.country);
+      region = known.region || null;
+    }
+    if (parts.length > 1) return null;
+    if (cityName && !known && !/^[A-Z][\p{L}.' -]{1,40}$/u.test(cityName)) return null;
+
+    return {
+      city: cityName ? (known?.name || cityName) : null,
+      region,
+      country: country.name,
+      countryCode: country.code,
+      text: segment.trim()
+    };
+  }
+
+  /**
+   * State or province code for "TX", "TX 78701" or "Texas"
+   */
+  regionCode(text) {
+    const code = text.match(/^([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/)?.[1];
+    if (code && (this.usStates[code] || this.caProvinces[code])) return code;
+    const name = text.toLowerCase();
+    return this.stateByName.get(name) || this.provinceByName.get(name) || null;
+  }
+
+  /**
+   * A stated time zone, or one inferred from the location
+   * @returns {Object|null} { id, source: 'stated' | 'location', text }
+   */
+  findTimeZone(lines, location) {
+    for (const line of lines) {
+      const offset = line.match(this.utcOffsetPattern);
+      if (offset) {
+        // IANA Etc/GMT zones have the sign inverted
+        const hours = parseInt(offset[2], 10);
+        const sign = offset[1] === '+' ? '-' : '+';
+        return { id: hours === 0 ? 'Etc/UTC' : `Etc/GMT${sign}${hours}`, source: 'stated', text: offset[0] };
+      }
+      const stated = this.statedTimeZones.find(zone => zone.pattern.test(line));
+      if (stated) {
+        return { id: stated.timeZone, source: 'stated', text: line.match(stated.pattern)[0] };
+      }
+    }
+
+    if (!location) return null;
+    const id = this.cities[(location.city || '').toLowerCase()]?.timeZone ||
+      (location.region && this.timeZoneByRegion.get(location.region)) ||
+      this.countryByCode.get(location.countryCode)?.timeZone;
+    return id ? { id, source: 'location', text: location.text } : null;
+  }
+
+  /**
+   * LinkedIn, GitHub and portfolio URLs, normalised to https
+   */
+  findLinks(lines, topLines) {
+    const text = lines.join('\n');
+    const links = { linkedin: null, github: null, portfolio: null };
+
+    for (const [name, pattern] of Object.entries(this.linkPatterns)) {
+      const match = text.match(pattern);
+      if (match) links[name] = this.normalizeUrl(match[0]);
+    }
+
+    for (const line of topLines) {
+      const candidates = line.split(/\s*[|•·,]\s*|\s+/);
+      const url = candidates
+        .map(candidate => candidate.match(this.urlPattern)?.[0])
+        .find(match => match && !/linkedin\.com|github\.com/i.test(match));
+      if (url) {
+        links.portfolio = this.normalizeUrl(url);
+        break;
+      }
+    }
+
+    return links;
+  }
+
+  normalizeUrl(url) {
+    const trimmed = url.replace(/[.,;)]+$/, '').replace(/\/$/, '');
+    return /^https?:\/\//i.test(trimmed) ? trimmed.replace(/^http:/i, 'https:') : `https://${trimmed}`;
+  }
+
+  /**
+   * Remote, hybrid and on-site preferences and willingness to relocate
+   * @returns {Object} { arrangements: ['remote', ...], relocate: true | false | null, statements }
+   */
+  findWorkPreference(lines) {
+    const arrangements = new Set();
+    const statements = new Set();
+    let relocate = null;
+
+    for (const line of lines) {
+      for (const [arrangement, pattern] of Object.entries(this.preferencePatterns)) {
+        if (pattern.test(line)) {
+          arrangements.add(arrangement);
+          statements.add(line);
+        }
+      }
+      if (relocate === null) {
+        if (this.relocationPatterns.no.test(line)) relocate = false;
+        else if (this.relocationPatterns.yes.test(line)) relocate = true;
+        if (relocate !== null) statements.add(line);
+      }
+    }
+
+    return { arrangements: [...arrangements], relocate, statements: [...statements] };
+  }
+
+  /**
+   * Work-authorization and visa statements
+   * @returns {Object} { statements, requiresSponsorship: true | false | null }
+   */
+  findWorkAuthorization(lines) {
+    const statements = [];
+    let requiresSponsorship = null;
+
+    for (const line of lines) {
+      const { noSponsorship, sponsorship, authorized, visa } = this.authorizationPatterns;
+      if (noSponsorship.test(line)) {
+        requiresSponsorship = false;
+      } else if (sponsorship.test(line)) {
+        requiresSponsorship = true;
+      } else if (!authorized.test(line) && !visa.test(line)) {
+        continue;
+      }
+      // Visa names alone say nothing about sponsorship; existing authorization means none is needed
+      if (requiresSponsorship === null &&
+          /\b(?:authori[sz]ed to work|eligible to work|right to work|citizen|green card|permanent resident)\b/i.test(line)) {
+        requiresSponsorship = false;
+      }
+      statements.push(line);
+    }
+
+    return { statements, requiresSponsorship };
+  }
+
+  /**
+   * Location of a job listing, e.g. "Austin, TX", "Remote (US)" or
+   * "Berlin, Germany - Hybrid"
+   * @param {string} text - The board's location text
+   * @param {Object} defaults - { countryCode, isRemote } from the board or the search
+   * @returns {Object} { city, region, country, countryCode, isRemote, text }
+   */
+  parseJobLocation(text, defaults = {}) {
+    const value = (text || '').trim();
+    const isRemote = Boolean(defaults.isRemote) || this.remotePattern.test(value);
+    const place = value
+      .replace(new RegExp(this.remotePattern.source, 'gi'), ' ')
+      .replace(/\bhybrid\b|[()]/gi, ' ')
+      .replace(/\s{2,}/g, ' ')
+      .replace(/^[\s,;:–—-]+|[\s,;:–—-]+$/g, '');
+
+    // "Remote (US)" leaves a bare country code
+    const codeCountry = /^[A-Z]{2}$/.test(place) ? this.getCountry(place === 'UK' ? 'gb' : place) : null;
+    const parsed = place && !codeCountry ? this.parseLocation(place) : null;
+    const fallback = codeCountry || this.getCountry(parsed?.countryCode || defaults.countryCode);
+    // Otherwise the first part of the text is taken as the city
+    const city = parsed ? parsed.city
+      : (place && !codeCountry && !this.countryByAlias.has(place.toLowerCase()) ? place.split(',')[0].trim() : null);
+
+    return {
+      city,
+      region: parsed?.region || null,
+      country: fallback?.name || null,
+      countryCode: fallback?.code || null,
+      isRemote,
+      text: value || (isRemote ? 'Remote' : null)
+    };
+  }
+
+  /**
+   * Full name of a US state or Canadian province code ("TX" is "Texas")
+   */
+  regionName(code) {
+    return this.usStates[code] || this.caProvinces[code] || code;
+  }
+
+  /**
+   * Country entry for an ISO code, or null
+   */
+  getCountry(code) {
+    return this.countryByCode.get((code || '').toLowerCase()) || null;
+  }
+}
+
+module.exports = new ContactExtractor();
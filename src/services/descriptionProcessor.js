@@ -0,0 +1,276 @@
+const skillTaxonomy = require('./skillTaxonomy');
+const educationExtractor = require('./educationExtractor');
+
+/**
+ * Description Processor Service
+ * Turns job descriptions (HTML, markdown or plain text, depending on the
+ * board) into plain text, splits them into sections by their headings and
+ * reads the requirements: years of experience, degree, certifications,
+ * skills and security clearance.
+ *
+ * Requirements are read from the qualification sections when the posting
+ * has them, so numbers and skills in the company blurb or the benefits
+ * ("founded 10 years ago", "we use Slack") don't count. Anything in a
+ * preferred section is optional.
+ */
+
+class DescriptionProcessor {
+  constructor() {
+    // Section headings, checked in order ("Preferred Qualifications" is
+    // preferred, not required; "About the role" is the responsibilities)
+    this.sectionHeadings = [
+      { section: 'preferred', pattern: /\b(preferred|nice[ -]to[ -]haves?|bonus|good to have|desired|desirable|pluses|additional qualifications|it'?s a plus)\b/i },
+      { section: 'benefits', pattern: /\b(benefits|perks|what we offer|we offer|compensation|why (join|work)|what'?s in it for you|our offer)\b/i },
+      { section: 'responsibilities', pattern: /\b(responsibilit|duties|what you('ll| will) (do|be doing|work on)|the role|your role|day[ -]to[ -]day|in this role|your impact|what you('ll| will) own|key tasks)/i },
+      { section: 'required', pattern: /\b(requirements|qualifications|what you('ll| will)? (need|bring)|must[ -]haves?|who you are|about you|you (have|bring)|skills|experience required|what we('re| are) looking for|required)\b/i },
+      { section: 'about', pattern: /\b(about (us|the company|the team|[A-Z][\w&.]*)|who we are|our (mission|story|company|team)|company (overview|description))\b/i }
+    ];
+
+    // A heading is a short line, often ending in a colon
+    this.maxHeadingLength = 60;
+
+    this.numberWords = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+      eleven: 11, twelve: 12, fifteen: 15, twenty: 20 };
+
+    // Years-of-experience figures above this are not requirements
+    this.maxExperienceYears = 30;
+
+    // Security clearances, lowest first; a sentence naming several is the
+    // highest. Acronyms are matched in capitals only.
+    this.clearanceLevels = [
+      { level: 'public trust', pattern: /\bpublic trust\b/i },
+      { level: 'confidential', pattern: /\bconfidential (security )?clearance\b/i },
+      { level: 'secret', pattern: /\b([Ss]ecret|SECRET|SC|[Bb]aseline)\b/ },
+      { level: 'top secret', pattern: /\b([Tt]op [Ss]ecret|TOP SECRET|TS|DV|NV[12])\b/ },
+      { level: 'ts/sci', pattern: /\b(TS|[Tt]op [Ss]ecret|TOP SECRET) ?\/ ?SCI\b/ }
+    ];
+    this.levelRanks = Object.fromEntries(this.clearanceLevels.map((entry, rank) => [entry.level, rank]));
+    this.clearancePattern = /\b(clearance|cleared|TS ?\/ ?SCI|public trust|polygraph)\b/i;
+    // "Must be able to obtain a Secret clearance" asks for eligibility, not a clearance
+    this.obtainablePattern = /\b(obtain|eligib|eligible|able to (get|be granted)|willing(ness)? to (undergo|apply))/i;
+
+    // Analyses of recent descriptions; the matcher reads each job more than once
+    this.cache = new Map();
+    this.maxCacheEntries = 500;
+  }
+
+  /**
+   * Plain text from an HTML, markdown or plain text description, with one
+   * block per line and "- " bullets
+   */
+  toText(description) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', bull: '•',
+      middot: '·', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…' };
+
+    return String(description || '')
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/?(p|div|h[1-6]|ul|ol|li|tr|table|section)[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match)
+      // Markdown: headings, links, emphasis and bullets
+      .replace(/^\s*#{1,6}\s+/gm, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/^\s*(?:[*•·▪◦‣●]|-(?!\d))\s*/gm, '- ')
+      .replace(/\\([*_#-])/g, '$1')
+      .split('\n')
+      .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Sections of a description, by heading. Text before the first heading is
+   * the intro; text under a heading that isn't recognised goes to other.
+   * @returns {Object} { intro, about, responsibilities, required, preferred, benefits, other } as text
+   */
+  sections(text) {
+    const sections = { intro: [], about: [], responsibilities: [], required: [], preferred: [], benefits: [], other: [] };
+    let current = 'intro';
+
+    for (const line of text.split('\n')) {
+      const heading = this.headingOf(line);
+      if (heading) {
+        current = heading;
+        // "Requirements: 5+ years of Go" keeps what follows the colon
+        const rest = line.slice(line.indexOf(':') + 1).trim();
+        if (line.includes(':') && rest) sections[current].push(rest);
+      } else if (line) {
+        sections[current].push(line);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n')]));
+  }
+
+  /**
+   * Section a heading line starts, or null when the line isn't a heading.
+   * Without a colon a line must be in Title Case or start with the heading
+   * phrase ("What you'll do"), so "Strong communication skills" stays text.
+   */
+  headingOf(line) {
+    const [label] = line.split(':');
+    const words = label.trim().split(/\s+/);
+    if (!line || line.startsWith('- ') || label.length > this.maxHeadingLength || words.length > 8) return null;
+
+    const colon = line.includes(':');
+    if (!colon && /[.!?,;]$/.test(line)) return null;
+
+    const titleCase = words.every(word => /^[A-Z0-9&]/.test(word) || /^(a|an|and|of|the|to|for|in|on|we|you|our|your|with)$/.test(word));
+    const heading = this.sectionHeadings.find(({ pattern }) => {
+      const match = label.match(pattern);
+      return match && (colon || titleCase || match.index === 0);
+    });
+
+    return heading?.section || (colon && line.endsWith(':') ? 'other' : null);
+  }
+
+  /**
+   * Text, sections and requirements of a description
+   * @returns {Object} { text, sections, requirements: { experience, degree,
+   *   certifications, skills: { required, preferred }, clearance } }
+   */
+  analyze(description) {
+    const key = String(description || '');
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const text = this.toText(key);
+    const sections = this.sections(text);
+    // Postings without qualification headings are read whole, except the
+    // company and benefits sections
+    const structured = Boolean(sections.required || sections.preferred);
+    const requiredText = structured
+      ? [sections.responsibilities, sections.required].filter(Boolean).join('\n')
+      : [sections.intro, sections.responsibilities, sections.other].filter(Boolean).join('\n');
+    const preferredText = sections.preferred;
+
+    const analysis = {
+      text,
+      sections,
+      requirements: {
+        experience: this.findExperience(requiredText, true) || this.findExperience(preferredText, false),
+        ...this.findCredentials(requiredText, preferredText),
+        skills: this.findSkills(requiredText, preferredText),
+        clearance: this.findClearance(requiredText, true) || this.findClearance(preferredText, false)
+      }
+    };
+
+    if (this.cache.size >= this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, analysis);
+    return analysis;
+  }
+
+  /**
+   * Years of experience asked for: "5+ years of experience", "3-5 years in",
+   * "at least four years", "minimum of 2 yrs". Only sentences about
+   * experience count, and the first one wins.
+   * @returns {Object|null} { min, max, required, text } - max is null when open-ended
+   */
+  findExperience(text, required) {
+    const number = '(\\d{1,2}|' + Object.keys(this.numberWords).join('|') + ')';
+    const patterns = [
+      new RegExp(`${number}\\s*(?:-|–|to)\\s*${number}\\+?\\s*(?:years?|yrs?)`, 'i'),
+      new RegExp(`(?:at least|minimum(?: of)?|min\\.?|over|more than)\\s*${number}\\+?\\s*(?:years?|yrs?)`, 'i'),
+      new RegExp(`${number}\\s*\\+?\\s*(?:years?|yrs?)`, 'i')
+    ];
+    const value = word => (/^\d+$/.test(word) ? Number(word) : this.numberWords[word.toLowerCase()]);
+
+    for (const sentence of this.sentencesOf(text)) {
+      if (!/\b(experience|experienced|background|track record|working (in|with|on)|professional)\b/i.test(sentence)) continue;
+      // Company age: "founded 10 years ago", "we have been in business for 20 years"
+      if (/\b(founded|ago|in business|we have been|we've been)\b/i.test(sentence)) continue;
+
+      for (const [index, pattern] of patterns.entries()) {
+        const match = sentence.match(pattern);
+        if (!match) continue;
+
+        const min = value(match[1]);
+        const max = index === 0 ? value(match[2]) : null;
+        if (min === undefined || min > this.maxExperienceYears) continue;
+        return { min, max: max !== null && max >= min ? max : null, required, text: sentence };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Degree and certifications, with preferred-section ones marked optional
+   * @returns {Object} { degree, certifications } as from educationExtractor.findRequirements
+   */
+  findCredentials(requiredText, preferredText) {
+    const required = educationExtractor.findRequirements(requiredText);
+    const preferred = educationExtractor.findRequirements(preferredText);
+    const certifications = [...required.certifications];
+
+    for (const cert of preferred.certifications) {
+      if (!certifications.some(existing => existing.id === cert.id)) {
+        certifications.push({ ...cert, required: false });
+      }
+    }
+
+    return {
+      degree: required.degree || (preferred.degree && { ...preferred.degree, required: false }),
+      certifications
+    };
+  }
+
+  /**
+   * Skills asked for, and ones that are only a plus
+   * @returns {Object} { required: [skill], preferred: [skill] } - skills as from skillTaxonomy.extract
+   */
+  findSkills(requiredText, preferredText) {
+    const required = requiredText ? skillTaxonomy.extract(requiredText) : [];
+    const preferred = preferredText
+      ? skillTaxonomy.extract(preferredText).filter(skill => !required.some(existing => existing.id === skill.id))
+      : [];
+
+    return { required, preferred };
+  }
+
+  /**
+   * Security clearance asked for, the highest level named. One the
+   * candidate only has to be able to obtain is not required.
+   * @returns {Object|null} { level, polygraph, required, text }
+   */
+  findClearance(text, required) {
+    let found = null;
+
+    for (const sentence of this.sentencesOf(text)) {
+      if (!this.clearancePattern.test(sentence)) continue;
+
+      const levels = this.clearanceLevels.filter(({ pattern }) => pattern.test(sentence));
+      const level = levels.length > 0 ? levels[levels.length - 1].level : 'secret';
+      if (!found || this.levelRanks[level] > this.levelRanks[found.level]) {
+        found = {
+          level,
+          polygraph: /\bpoly(graph)?\b/i.test(sentence),
+          required: required && !educationExtractor.preferredPattern.test(sentence) && !this.obtainablePattern.test(sentence),
+          text: sentence
+        };
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Whether a held clearance reaches a required level
+   */
+  meetsClearance(held, level) {
+    return Boolean(held) && this.levelRanks[held.level] >= this.levelRanks[level];
+  }
+
+  sentencesOf(text) {
+    return (text || '').split(/\n+|(?<=[.;!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+  }
+}
+
+module.exports = new DescriptionProcessor();
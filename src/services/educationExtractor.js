@@ -0,0 +1,325 @@
+const experienceTimeline = require('./experienceTimeline');
+
+/**
+ * Education & Certification Extractor
+ * Reads structured degrees ({ level, degree, field, institution, year }) and
+ * certifications ({ id, name, issuer, date }) from resumes, and the degree and
+ * certification requirements from job postings, so the two can be compared.
+ */
+
+class EducationExtractor {
+  constructor() {
+    // Degree levels, lowest first; rank is used to compare against postings
+    this.degreeLevels = [
+      { level: 'high school', pattern: /\b(?:high school(?: diploma)?|secondary school|GED|A-levels)\b/i },
+      { level: 'associate', pattern: /\b(?:associate(?:'s)? (?:degree|of \w+)|A\.A\.S?\.?|A\.S\.)(?=\s|,|$)/i },
+      {
+        level: 'bachelor',
+        pattern: /\b(?:bachelor(?:'s)?(?: of (?:science|arts|engineering|technology|commerce|business administration|fine arts|applied science))?(?: degree)?|B\.?S\.?c?|B\.?A|B\.?Eng|B\.?Tech|BBA|B\.?Com|BCA|B\.E|BS\/BA|BA\/BS)(?![\w])\.?/i
+      },
+      {
+        level: 'master',
+        pattern: /\b(?:master(?:'s)?(?: of (?:science|arts|engineering|technology|business administration|fine arts|public health|education))?(?: degree)?|M\.?S\.?c?|M\.?Eng|M\.?Tech|MBA|M\.B\.A|MCA|M\.A|M\.Ed|MS\/MA)(?![\w])\.?/i
+      },
+      { level: 'doctorate', pattern: /\b(?:Ph\.?\s?D|doctorate|doctor of philosophy|D\.Phil|Ed\.D)(?![\w])\.?/i }
+    ];
+    this.levelRanks = Object.fromEntries(this.degreeLevels.map((entry, rank) => [entry.level, rank]));
+
+    // Words that name a school
+    this.institutionPattern = /\b(?:university|universit[äé]t|college|institute|school|academy|polytechnic|conservatory|IIT|MIT|UCLA|NYU|UT [A-Z][a-z]+)\b/i;
+
+    // Postings that accept experience in place of a degree, including a bare
+    // "or equivalent" closing the degree sentence
+    this.equivalentPattern = /\bor (?:equivalent|comparable)(?: practical| professional| work)? experience\b|\bequivalent experience\b|\bor (?:an? )?equivalent\W*$/i;
+    // Wording that marks a requirement as optional
+    this.preferredPattern = /\b(?:preferred|a plus|nice to have|bonus|desired|desirable|ideally)\b/i;
+
+    // Certifications; acronyms are matched case-sensitively and only next to
+    // certification wording unless `plainAcronym` is set
+    this.certifications = [
+      { id: 'aws-cloud-practitioner', name: 'AWS Certified Cloud Practitioner', issuer: 'Amazon Web Services', aliases: ['aws cloud practitioner', 'aws certified cloud practitioner'] },
+      { id: 'aws-solutions-architect-associate', name: 'AWS Certified Solutions Architect – Associate', issuer: 'Amazon Web Services', aliases: ['aws solutions architect associate', 'aws certified solutions architect associate', 'aws certified solutions architect - associate', 'aws certified solutions architect – associate', 'aws certified solutions architect'], acronyms: ['SAA-C03'] },
+      { id: 'aws-solutions-architect-professional', name: 'AWS Certified Solutions Architect – Professional', issuer: 'Amazon Web Services', aliases: ['aws solutions architect professional', 'aws certified solutions architect professional', 'aws certified solutions architect - professional', 'aws certified solutions architect – professional'] },
+      { id: 'aws-developer-associate', name: 'AWS Certified Developer – Associate', issuer: 'Amazon Web Services', aliases: ['aws certified developer', 'aws developer associate'] },
+      { id: 'aws-sysops-associate', name: 'AWS Certified SysOps Administrator – Associate', issuer: 'Amazon Web Services', aliases: ['aws certified sysops administrator', 'aws sysops administrator'] },
+      { id: 'aws-devops-professional', name: 'AWS Certified DevOps Engineer – Professional', issuer: 'Amazon Web Services', aliases: ['aws certified devops engineer', 'aws devops engineer professional'] },
+      { id: 'aws-certification', name: 'AWS Certification', issuer: 'Amazon Web Services', aliases: ['aws certified', 'aws certification', 'aws certifications'] },
+      { id: 'gcp-associate-cloud-engineer', name: 'Google Cloud Associate Cloud Engineer', issuer: 'Google Cloud', aliases: ['associate cloud engineer', 'google cloud associate cloud engineer', 'gcp associate cloud engineer'] },
+      { id: 'gcp-professional-cloud-architect', name: 'Google Cloud Professional Cloud Architect', issuer: 'Google Cloud', aliases: ['professional cloud architect', 'gcp professional cloud architect', 'google cloud certified professional cloud architect'] },
+      { id: 'gcp-professional-data-engineer', name: 'Google Cloud Professional Data Engineer', issuer: 'Google Cloud', aliases: ['professional data engineer', 'gcp professional data engineer', 'google cloud professional data engineer'] },
+      { id: 'gcp-certification', name: 'Google Cloud Certification', issuer: 'Google Cloud', aliases: ['gcp certified', 'gcp certification', 'google cloud certified', 'google cloud certification'] },
+      { id: 'azure-fundamentals', name: 'Microsoft Certified: Azure Fundamentals', issuer: 'Microsoft', aliases: ['azure fundamentals'], acronyms: ['AZ-900'], plainAcronym: true },
+      { id: 'azure-administrator', name: 'Microsoft Certified: Azure Administrator Associate', issuer: 'Microsoft', aliases: ['azure administrator associate', 'azure administrator'], acronyms: ['AZ-104'], plainAcronym: true },
+      { id: 'azure-developer', name: 'Microsoft Certified: Azure Developer Associate', issuer: 'Microsoft', aliases: ['azure developer associate'], acronyms: ['AZ-204'], plainAcronym: true },
+      { id: 'azure-solutions-architect', name: 'Microsoft Certified: Azure Solutions Architect Expert', issuer: 'Microsoft', aliases: ['azure solutions architect expert', 'azure solutions architect'], acronyms: ['AZ-305'], plainAcronym: true },
+      { id: 'cka', name: 'Certified Kubernetes Administrator', issuer: 'CNCF', aliases: ['certified kubernetes administrator'], acronyms: ['CKA'], plainAcronym: true },
+      { id: 'ckad', name: 'Certified Kubernetes Application Developer', issuer: 'CNCF', aliases: ['certified kubernetes application developer'], acronyms: ['CKAD'], plainAcronym: true },
+      { id: 'cks', name: 'Certified Kubernetes Security Specialist', issuer: 'CNCF', aliases: ['certified kubernetes security specialist'], acronyms: ['CKS'], plainAcronym: true },
+      { id: 'terraform-associate', name: 'HashiCorp Certified: Terraform Associate', issuer: 'HashiCorp', aliases: ['terraform associate', 'hashicorp certified terraform associate'] },
+      { id: 'pmp', name: 'Project Management Professional (PMP)', issuer: 'PMI', aliases: ['project management professional'], acronyms: ['PMP'], plainAcronym: true },
+      { id: 'capm', name: 'Certified Associate in Project Management (CAPM)', issuer: 'PMI', aliases: ['certified associate in project management'], acronyms: ['CAPM'], plainAcronym: true },
+      { id: 'prince2', name: 'PRINCE2', issuer: 'PeopleCert', aliases: ['prince2', 'prince 2'] },
+      { id: 'csm', name: 'Certified ScrumMaster (CSM)', issuer: 'Scrum Alliance', aliases: ['certified scrummaster', 'certified scrum master'], acronyms: ['CSM'] },
+      { id: 'cspo', name: 'Certified Scrum Product Owner (CSPO)', issuer: 'Scrum Alliance', aliases: ['certified scrum product owner'], acronyms: ['CSPO'], plainAcronym: true },
+      { id: 'psm', name: 'Professional Scrum Master (PSM)', issuer: 'Scrum.org', aliases: ['professional scrum master', 'psm i', 'psm ii'], acronyms: ['PSM'] },
+      { id: 'pspo', name: 'Professional Scrum Product Owner (PSPO)', issuer: 'Scrum.org', aliases: ['professional scrum product owner'], acronyms: ['PSPO'], plainAcronym: true },
+      { id: 'safe', name: 'SAFe Agilist', issuer: 'Scaled Agile', aliases: ['safe agilist', 'certified safe', 'safe certified', 'safe 5 agilist', 'safe 6 agilist'] },
+      { id: 'itil', name: 'ITIL Foundation', issuer: 'PeopleCert', aliases: ['itil foundation', 'itil v4', 'itil 4', 'itil certified', 'itil certification'] },
+      { id: 'cissp', name: 'CISSP', issuer: 'ISC2', aliases: ['certified information systems security professional'], acronyms: ['CISSP'], plainAcronym: true },
+      { id: 'security-plus', name: 'CompTIA Security+', issuer: 'CompTIA', aliases: ['comptia security+', 'security+'] },
+      { id: 'cisa', name: 'Certified Information Systems Auditor (CISA)', issuer: 'ISACA', aliases: ['certified information systems auditor'], acronyms: ['CISA'] },
+      { id: 'cism', name: 'Certified Information Security Manager (CISM)', issuer: 'ISACA', aliases: ['certified information security manager'], acronyms: ['CISM'], plainAcronym: true },
+      { id: 'ceh', name: 'Certified Ethical Hacker (CEH)', issuer: 'EC-Council', aliases: ['certified ethical hacker'], acronyms: ['CEH'] },
+      { id: 'oscp', name: 'Offensive Security Certified Professional (OSCP)', issuer: 'OffSec', aliases: ['offensive security certified professional'], acronyms: ['OSCP'], plainAcronym: true },
+      { id: 'ccna', name: 'Cisco Certified Network Associate (CCNA)', issuer: 'Cisco', aliases: ['cisco certified network associate'], acronyms: ['CCNA'], plainAcronym: true },
+      { id: 'ccnp', name: 'Cisco Certified Network Professional (CCNP)', issuer: 'Cisco', aliases: ['cisco certified network professional'], acronyms: ['CCNP'], plainAcronym: true },
+      { id: 'cpa', name: 'Certified Public Accountant (CPA)', issuer: 'AICPA', aliases: ['certified public accountant'], acronyms: ['CPA'] },
+      { id: 'cfa', name: 'Chartered Financial Analyst (CFA)', issuer: 'CFA Institute', aliases: ['chartered financial analyst', 'cfa charterholder'], acronyms: ['CFA'] },
+      { id: 'six-sigma-green-belt', name: 'Six Sigma Green Belt', issuer: null, aliases: ['six sigma green belt', 'lean six sigma green belt'] },
+      { id: 'six-sigma-black-belt', name: 'Six Sigma Black Belt', issuer: null, aliases: ['six sigma black belt', 'lean six sigma black belt'] },
+      { id: 'google-analytics', name: 'Google Analytics Certification', issuer: 'Google', aliases: ['google analytics certification', 'google analytics certified', 'google analytics individual qualification'], acronyms: ['GAIQ'], plainAcronym: true },
+      { id: 'salesforce-administrator', name: 'Salesforce Certified Administrator', issuer: 'Salesforce', aliases: ['salesforce certified administrator', 'salesforce administrator certification'] }
+    ];
+
+    // Certification wording that lets an ambiguous acronym count
+    this.certificationContext = /certif|licen[cs]e|credential|accredit/i;
+
+    // Issuers recognised in free-text certification lines
+    this.issuers = ['Amazon Web Services', 'AWS', 'Google Cloud', 'Google', 'Microsoft', 'CNCF', 'Linux Foundation',
+      'HashiCorp', 'PMI', 'Scrum Alliance', 'Scrum.org', 'Scaled Agile', 'ISC2', 'CompTIA', 'ISACA', 'Cisco',
+      'Oracle', 'Salesforce', 'Red Hat', 'Coursera', 'Udacity', 'edX', 'PeopleCert', 'AXELOS', 'CFA Institute'];
+
+    this.compile();
+  }
+
+  /**
+   * Build match patterns for the certification catalog
+   */
+  compile() {
+    const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const wholeTerm = (terms, flags) => new RegExp(
+      `(?<![\\w+])(?:${terms.map(escape).sort((a, b) => b.length - a.length).join('|')})(?![\\w+])`, flags
+    );
+
+    for (const cert of this.certifications) {
+      cert.pattern = wholeTerm(cert.aliases, 'i');
+      cert.acronymPattern = cert.acronyms ? wholeTerm(cert.acronyms, '') : null;
+    }
+    this.issuerPattern = wholeTerm(this.issuers, 'i');
+  }
+
+  /**
+   * Structured education entries from the Education section, or from degree
+   * lines anywhere when the resume has no such section
+   * @param {Array} lines - Education section lines, or all resume lines
+   * @param {boolean} fromSection - Whether the lines are an Education section
+   * @returns {Array} [{ level, degree, field, institution, year, expected, text }]
+   */
+  extractEducation(lines, fromSection = true) {
+    const entries = [];
+    let current = null;
+
+    for (const line of lines) {
+      const degree = this.findDegree(line);
+      const institution = this.findInstitution(line);
+
+      // Outside an Education section only lines that look like a degree with a school or year count
+      if (!fromSection && !(degree && (institution || /\b(?:19|20)\d{2}\b/.test(line)))) continue;
+
+      if (degree || (institution && (!current || current.institution))) {
+        current = this.parseEntry(line);
+        entries.push(current);
+      } else if (current) {
+        // Continuation line: fill in whatever the entry is still missing
+        const extra = this.parseEntry(line);
+        for (const field of ['institution', 'field', 'year', 'expected']) {
+          if (!current[field] && extra[field]) current[field] = extra[field];
+        }
+        current.text += `\n${line}`;
+      }
+    }
+
+    return entries.filter(entry => entry.level || entry.institution);
+  }
+
+  /**
+   * Parse one line such as "B.S. in Computer Science, University of Texas, 2016"
+   */
+  parseEntry(text) {
+    const degree = this.findDegree(text);
+    const years = [...text.matchAll(/\b(?:19|20)\d{2}\b/g)].map(match => parseInt(match[0], 10));
+
+    let field = null;
+    if (degree) {
+      const rest = text.slice(degree.index + degree.text.length);
+      const fieldMatch = rest.match(/^\s*(?:degree\s+)?(?:in|of|,|-|–|:)?\s*([A-Z][A-Za-z&/ ]+?)\s*(?=,|\||\(|\s[-–—]\s|\bat\b|\bfrom\b|\d|$)/);
+      if (fieldMatch && !this.institutionPattern.test(fieldMatch[1])) field = fieldMatch[1].trim();
+    }
+
+    return {
+      level: degree?.level || null,
+      degree: degree?.text || null,
+      field,
+      institution: this.findInstitution(text),
+      year: years.length ? Math.max(...years) : null,
+      expected: /\b(?:expected|anticipated|candidate|in progress)\b/i.test(text),
+      text: text.trim()
+    };
+  }
+
+  /**
+   * Highest degree named in a line
+   * @returns {Object|null} { level, text, index }
+   */
+  findDegree(text) {
+    for (let i = this.degreeLevels.length - 1; i >= 0; i--) {
+      const match = text.match(this.degreeLevels[i].pattern);
+      if (match) return { level: this.degreeLevels[i].level, text: match[0].trim(), index: match.index };
+    }
+    return null;
+  }
+
+  /**
+   * The segment of a line that names a school
+   */
+  findInstitution(text) {
+    const segment = text.split(/\s*[,|•·]\s*|\s+[-–—]\s+|\s+from\s+/)
+      .find(part => this.institutionPattern.test(part));
+    return segment ? segment.replace(/\(.*?\)/g, '').replace(/\b(?:19|20)\d{2}\b.*$/, '').trim() || null : null;
+  }
+
+  /**
+   * Build an entry from a JSON Resume education object
+   */
+  fromJSONResume(education) {
+    const degree = this.findDegree(education.studyType || '');
+    const year = parseInt((education.endDate || '').slice(0, 4), 10);
+
+    return {
+      level: degree?.level || null,
+      degree: education.studyType || null,
+      field: education.area || null,
+      institution: education.institution || null,
+      year: Number.isFinite(year) ? year : null,
+      expected: false,
+      text: [education.studyType, education.area, education.institution, education.endDate].filter(Boolean).join(', ')
+    };
+  }
+
+  /**
+   * Certifications held: everything in a Certifications section, plus
+   * catalog certifications named elsewhere
+   * @returns {Array} [{ id, name, issuer, date, text }]
+   */
+  extractCertifications(sectionLines, otherLines = []) {
+    const found = new Map();
+
+    for (const line of sectionLines) {
+      const matches = this.findCertifications(line, true);
+      if (matches.length === 0 && line.length <= 120) {
+        // Unknown certification: keep the line as its name
+        const name = line.replace(/\s*[,|(–—-]\s*(?:issued\s*)?(?:\w+\.?\s+)?(?:19|20)\d{2}.*$/i, '').trim();
+        if (name) found.set(`other:${name.toLowerCase()}`, this.certificationEntry(null, name, line));
+      }
+      matches.forEach(cert => found.set(cert.id, this.certificationEntry(cert, cert.name, line)));
+    }
+
+    for (const line of otherLines) {
+      this.findCertifications(line, false).forEach(cert => {
+        if (!found.has(cert.id)) found.set(cert.id, this.certificationEntry(cert, cert.name, line));
+      });
+    }
+
+    // A generic "AWS Certified" adds nothing next to a specific AWS certification
+    const entries = [...found.values()];
+    return entries.filter(entry => !(
+      (entry.id === 'aws-certification' && entries.some(e => e.id?.startsWith('aws-') && e.id !== entry.id)) ||
+      (entry.id === 'gcp-certification' && entries.some(e => e.id?.startsWith('gcp-') && e.id !== entry.id))
+    ));
+  }
+
+  /**
+   * Catalog certifications named in a line
+   * @param {boolean} inContext - The line is already about certifications
+   */
+  findCertifications(line, inContext) {
+    const context = inContext || this.certificationContext.test(line);
+    return this.certifications.filter(cert =>
+      cert.pattern.test(line) ||
+      (cert.acronymPattern && (context || cert.plainAcronym) && cert.acronymPattern.test(line))
+    );
+  }
+
+  certificationEntry(cert, name, line) {
+    const date = experienceTimeline.findSingleDate(line);
+    return {
+      id: cert?.id || null,
+      name,
+      issuer: cert?.issuer || this.findIssuer(line),
+      // A bare year stays a year rather than pretending to know the month
+      date: date ? (/^\d{4}$/.test(date.text.trim()) ? date.text.trim() : date.start) : null,
+      text: line.trim()
+    };
+  }
+
+  findIssuer(line) {
+    const match = line.match(this.issuerPattern);
+    if (!match) return null;
+    return match[0].toUpperCase() === 'AWS' ? 'Amazon Web Services' : match[0];
+  }
+
+  /**
+   * Degree and certification requirements stated in a job posting
+   * @returns {Object} { degree: { level, required, equivalentAllowed, text } | null,
+   *   certifications: [{ id, name, required }] }
+   */
+  findRequirements(text) {
+    const sentences = (text || '').split(/\n+|(?<=[.;])\s+/).map(s => s.trim()).filter(Boolean);
+
+    let degree = null;
+    for (const sentence of sentences) {
+      const found = this.degreeLevels.filter(entry => entry.pattern.test(sentence) && entry.level !== 'high school' ||
+        (entry.level === 'high school' && /\b(?:high school diploma|GED)\b/i.test(sentence)));
+      if (found.length === 0) continue;
+      // "Bachelor's or Master's" asks for the lower of the two
+      const level = found[0].level;
+      const required = !this.preferredPattern.test(sentence);
+      if (!degree || (required && !degree.required) || (required === degree.required && this.levelRanks[level] < this.levelRanks[degree.level])) {
+        degree = { level, required, equivalentAllowed: this.equivalentPattern.test(sentence), text: sentence };
+      }
+    }
+
+    const certifications = new Map();
+    for (const sentence of sentences) {
+      const required = !this.preferredPattern.test(sentence);
+      for (const cert of this.findCertifications(sentence, false)) {
+        const existing = certifications.get(cert.id);
+        if (!existing || (required && !existing.required)) {
+          certifications.set(cert.id, { id: cert.id, name: cert.name, required });
+        }
+      }
+    }
+
+    return { degree, certifications: [...certifications.values()] };
+  }
+
+  /**
+   * Whether an education entry list reaches a degree level
+   */
+  meetsDegreeLevel(education, level) {
+    const required = this.levelRanks[level] ?? 0;
+    return (education || []).some(entry => entry.level && this.levelRanks[entry.level] >= required);
+  }
+
+  /**
+   * Whether a held certification satisfies a required one; any specific AWS
+   * or Google Cloud certification counts for a generic requirement
+   */
+  holdsCertification(certifications, id) {
+    return (certifications || []).some(cert => cert.id === id ||
+      (id === 'aws-certification' && cert.id?.startsWith('aws-')) ||
+      (id === 'gcp-certification' && cert.id?.startsWith('gcp-')));
+  }
+}
+
+module.exports = new EducationExtractor();
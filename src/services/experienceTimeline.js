@@ -0,0 +1,275 @@
+/**
+ * Experience Timeline Service
+ * Reads employment dates from resume lines and turns positions into a
+ * month-precise timeline: overlapping roles are merged, gaps are flagged and
+ * every figure records whether it was read from the resume or estimated.
+ */
+
+class ExperienceTimeline {
+  constructor() {
+    this.months = {
+      jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+      jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+    };
+
+    // Seasons and quarters map to the first and last month they cover
+    this.periods = {
+      spring: [3, 5], summer: [6, 8], fall: [9, 11], autumn: [9, 11], winter: [1, 2],
+      q1: [1, 3], q2: [4, 6], q3: [7, 9], q4: [10, 12]
+    };
+
+    // Year-only dates are placed mid-year so "2016 - 2020" counts as 4 years
+    this.yearOnlyStartMonth = 7;
+    this.yearOnlyEndMonth = 6;
+
+    // Positions without any dates are counted at this length and flagged
+    this.undatedPositionMonths = 24;
+
+    // Breaks between roles shorter than this are not reported as gaps
+    this.minGapMonths = 3;
+
+    const month = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+    const period = '(?:spring|summer|fall|autumn|winter|q[1-4])';
+    const date = `(?:(?:${month}|${period})\\s*'?\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+    const ongoing = '(?:present|current|now|today|ongoing)';
+
+    // "Mar 2019 – Present", "03/2019 to 06/2021", "Fall 2018 - Spring 2019"
+    this.rangePattern = new RegExp(
+      `(${date})\\s*(?:-|–|—|to|until)\\s*(${date}|${ongoing}|\\d{2}(?!\\d))`, 'i'
+    );
+    // A lone date such as "Summer 2015" or "(2019)"
+    this.singlePattern = new RegExp(`(?:${month}|${period})\\s*'?\\d{4}|\\b\\d{1,2}/\\d{4}\\b|\\b(?:19|20)\\d{2}\\b`, 'i');
+    this.ongoingPattern = new RegExp(`^${ongoing}$`, 'i');
+  }
+
+  /**
+   * Find a date range in a line of text
+   * @returns {Object|null} { text, start, end, current, estimated } or null
+   */
+  findDateRange(line, now = new Date()) {
+    const match = line.match(this.rangePattern);
+    if (!match) return null;
+
+    const start = this.parseDate(match[1], 'start');
+    let end;
+    let current = false;
+
+    if (this.ongoingPattern.test(match[2].trim())) {
+      end = { year: now.getFullYear(), month: now.getMonth() + 1, estimated: false };
+      current = true;
+    } else if (/^\d{2}$/.test(match[2].trim()) && start) {
+      // "2019–22" - two-digit end year in the same century
+      const endYear = Math.floor(start.year / 100) * 100 + parseInt(match[2], 10);
+      if (endYear < start.year) return null;
+      end = this.parseDate(String(endYear), 'end');
+    } else {
+      end = this.parseDate(match[2], 'end');
+    }
+
+    if (!start || !end) return null;
+    return this.toRange(match[0], start, end, current);
+  }
+
+  /**
+   * Find a single date ("Summer 2015", "2019") and treat it as a whole period
+   * @returns {Object|null} Same shape as findDateRange
+   */
+  findSingleDate(line) {
+    const match = line.match(this.singlePattern);
+    if (!match) return null;
+
+    const start = this.parseDate(match[0], 'start');
+    const end = this.parseDate(match[0], 'end');
+    if (!start || !end) return null;
+
+    // A bare year says nothing about how long the role lasted
+    if (/^\d{4}$/.test(match[0].trim())) {
+      start.month = 1;
+      end.month = 12;
+    }
+
+    return this.toRange(match[0], start, end, false);
+  }
+
+  /**
+   * Build a range object, flagging it estimated if either end was
+   */
+  toRange(text, start, end, current) {
+    if (this.index(end) < this.index(start)) {
+      end = { ...start };
+    }
+
+    return {
+      text,
+      start: this.format(start),
+      end: this.format(end),
+      current,
+      estimated: start.estimated || end.estimated
+    };
+  }
+
+  /**
+   * Parse one date into { year, month, estimated }
+   * @param {string} text - e.g. "Mar 2019", "03/2019", "Summer 2015", "2019"
+   * @param {string} edge - 'start' or 'end', used for year-only and seasonal dates
+   */
+  parseDate(text, edge) {
+    const value = text.trim().toLowerCase().replace(/'/g, '');
+
+    const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric) {
+      const month = parseInt(numeric[1], 10);
+      if (month < 1 || month > 12) return null;
+      return { year: parseInt(numeric[2], 10), month, estimated: false };
+    }
+
+    const named = value.match(/^([a-z0-9]+)\.?\s*(\d{4})$/);
+    if (named) {
+      const year = parseInt(named[2], 10);
+      const month = this.months[named[1].slice(0, 3)];
+      if (month) return { year, month, estimated: false };
+
+      const period = this.periods[named[1]];
+      if (period) {
+        return { year, month: edge === 'start' ? period[0] : period[1], estimated: true };
+      }
+      return null;
+    }
+
+    if (/^\d{4}$/.test(value)) {
+      return {
+        year: parseInt(value, 10),
+        month: edge === 'start' ? this.yearOnlyStartMonth : this.yearOnlyEndMonth,
+        estimated: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the experience timeline for a list of positions
+   * @param {Array} positions - Positions with optional startDate/endDate ("YYYY-MM")
+   * @param {Function} groupBy - Returns the role types a position counts towards
+   * @returns {Object} { totalMonths, intervals, gaps, byRoleType, estimated, undatedPositions }
+   */
+  build(positions, groupBy) {
+    const dated = positions.filter(p => p.startDate && p.endDate);
+    const undated = positions.filter(p => !p.startDate || !p.endDate);
+
+    const intervals = this.mergeIntervals(dated.map(p => this.toInterval(p)));
+    let totalMonths = this.sumMonths(intervals);
+    let estimated = dated.some(p => p.datesEstimated);
+
+    const byRoleType = {};
+    const typeIntervals = {};
+    for (const position of positions) {
+      for (const type of groupBy(position)) {
+        if (!byRoleType[type]) {
+          byRoleType[type] = { months: 0, estimated: false };
+          typeIntervals[type] = [];
+        }
+        if (position.startDate && position.endDate) {
+          typeIntervals[type].push(this.toInterval(position));
+          if (position.datesEstimated) byRoleType[type].estimated = true;
+        } else {
+          byRoleType[type].months += this.undatedPositionMonths;
+          byRoleType[type].estimated = true;
+        }
+      }
+    }
+
+    for (const type of Object.keys(byRoleType)) {
+      byRoleType[type].months += this.sumMonths(this.mergeIntervals(typeIntervals[type]));
+    }
+
+    if (undated.length > 0) {
+      totalMonths += undated.length * this.undatedPositionMonths;
+      estimated = true;
+    }
+
+    return {
+      totalMonths,
+      intervals: intervals.map(i => ({ start: this.formatIndex(i.start), end: this.formatIndex(i.end) })),
+      gaps: this.findGaps(intervals),
+      byRoleType,
+      estimated,
+      undatedPositions: undated.length
+    };
+  }
+
+  /**
+   * Merge overlapping or back-to-back month intervals
+   */
+  mergeIntervals(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const interval of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end + 1) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Breaks of at least minGapMonths between merged intervals
+   */
+  findGaps(intervals) {
+    const gaps = [];
+    for (let i = 1; i < intervals.length; i++) {
+      const months = intervals[i].start - intervals[i - 1].end - 1;
+      if (months >= this.minGapMonths) {
+        gaps.push({
+          start: this.formatIndex(intervals[i - 1].end + 1),
+          end: this.formatIndex(intervals[i].start - 1),
+          months
+        });
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Total months covered by merged intervals, counting both end months
+   */
+  sumMonths(intervals) {
+    return intervals.reduce((sum, i) => sum + (i.end - i.start + 1), 0);
+  }
+
+  /**
+   * Months a single position covers
+   */
+  positionMonths(position) {
+    const interval = this.toInterval(position);
+    return interval.end - interval.start + 1;
+  }
+
+  toInterval(position) {
+    return { start: this.parseIndex(position.startDate), end: this.parseIndex(position.endDate) };
+  }
+
+  index(date) {
+    return date.year * 12 + (date.month - 1);
+  }
+
+  format(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}`;
+  }
+
+  parseIndex(value) {
+    const [year, month] = value.split('-').map(Number);
+    return year * 12 + (month - 1);
+  }
+
+  formatIndex(index) {
+    return this.format({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+  }
+}
+
+module.exports = new ExperienceTimeline();
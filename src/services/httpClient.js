@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * HTTP Client Service
+ * Shared GET for the job APIs: a timeout on every request, retries with
+ * jittered backoff on 429 and 5xx responses (honoring Retry-After), a
+ * circuit breaker per service and request quota tracking per API key.
+ */
+
+class HttpClient {
+  constructor() {
+    // Used when a service doesn't set its own
+    this.defaults = {
+      timeout: 10000,
+      retries: 2,
+      baseDelay: 500,
+      maxDelay: 8000
+    };
+
+    // A Retry-After longer than this is not waited out
+    this.maxRetryAfter = 30000;
+
+    // Consecutive failed requests that open a service's circuit, and how
+    // long it then stays open
+    this.failureThreshold = 3;
+    this.cooldown = 60000;
+
+    // Rate limit headers reporting the requests left for a key and when that
+    // count resets (RapidAPI, then the common X-RateLimit names)
+    this.quotaHeaders = [
+      { remaining: 'x-ratelimit-requests-remaining', reset: 'x-ratelimit-requests-reset' },
+      { remaining: 'x-ratelimit-remaining', reset: 'x-ratelimit-reset' }
+    ];
+
+    // Reset values above this are Unix times (seconds, or milliseconds above
+    // maxUnixSeconds) rather than seconds from now
+    this.minUnixSeconds = 1e9;
+    this.maxUnixSeconds = 1e11;
+
+    this.circuits = new Map();
+    this.quotas = new Map();
+  }
+
+  /**
+   * GET a URL on behalf of a service
+   * @param {string} url
+   * @param {Object} options - axios options (params, headers)
+   * @param {Object} policy - { service, key, timeout, retries, quota: { limit, windowMs } }
+   * @returns {Promise<Object>} The axios response
+   */
+  async get(url, options, policy) {
+    const settings = { ...this.defaults, ...policy };
+    const circuit = this.circuitOf(settings.service);
+    const quota = settings.key ? this.quotaOf(settings.service, settings.key, settings.quota) : null;
+
+    if (quota && this.quotaExhausted(quota)) {
+      throw this.error(`${settings.service} quota for this API key is used up`, 'QUOTA_EXHAUSTED');
+    }
+    if (!this.allowRequest(circuit)) {
+      throw this.error(`${settings.service} circuit is open after repeated failures`, 'CIRCUIT_OPEN');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (quota) this.countRequest(quota);
+        const response = await axios.get(url, { ...options, timeout: settings.timeout });
+        if (quota) this.readQuotaHeaders(quota, response.headers);
+        this.recordSuccess(circuit);
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        if (quota && error.response) this.readQuotaHeaders(quota, error.response.headers);
+
+        const delay = this.retryDelay(error, attempt, settings);
+        if (delay === null) {
+          this.recordFailure(circuit, settings.service);
+          throw error;
+        }
+
+        console.log(`${settings.service} responded ${status}, retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * How long to wait before retrying a failed request, or null to give up
+   * Only 429 and 5xx responses are retried
+   */
+  retryDelay(error, attempt, settings) {
+    const status = error.response?.status;
+    if (!(status === 429 || status >= 500) || attempt >= settings.retries) {
+      return null;
+    }
+
+    const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+    }
+
+    // Full jitter: anywhere up to the exponential backoff for this attempt
+    const backoff = Math.min(settings.maxDelay, settings.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * backoff);
+  }
+
+  /**
+   * Retry-After as milliseconds; the header is either seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return Math.round(Number(value) * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  circuitOf(service) {
+    if (!this.circuits.has(service)) {
+      this.circuits.set(service, { state: 'closed', failures: 0, openedAt: null, trial: false });
+    }
+    return this.circuits.get(service);
+  }
+
+  /**
+   * Whether a service's circuit lets a request through. After the cool-down
+   * an open circuit lets one trial request through (half-open); its result
+   * closes or reopens the circuit.
+   */
+  allowRequest(circuit) {
+    if (circuit.state === 'closed') return true;
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.cooldown) {
+      circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open' && !circuit.trial) {
+      circuit.trial = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a service is currently being skipped
+   */
+  isOpen(service) {
+    const circuit = this.circuitOf(service);
+    return circuit.state === 'open' && Date.now() - circuit.openedAt < this.cooldown;
+  }
+
+  recordSuccess(circuit) {
+    Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null, trial: false });
+  }
+
+  recordFailure(circuit, service) {
+    circuit.failures++;
+    circuit.trial = false;
+
+    if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.error(`${service} failed ${circuit.failures} time(s) in a row, skipping it for ${this.cooldown / 1000}s`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Quota record for an API key. Keys are stored hashed so they never show up
+   * in the status listing.
+   */
+  quotaOf(service, key, limits) {
+    const id = `${service}:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+
+    if (!this.quotas.has(id)) {
+      this.quotas.set(id, {
+        id,
+        service,
+        limit: limits?.limit || null,
+        windowMs: limits?.windowMs || null,
+        windowStart: Date.now(),
+        used: 0,
+        remaining: null,
+        resetAt: null
+      });
+    }
+    return this.quotas.get(id);
+  }
+
+  countRequest(quota) {
+    if (quota.windowMs && Date.now() - quota.windowStart >= quota.windowMs) {
+      quota.windowStart = Date.now();
+      quota.used = 0;
+    }
+    quota.used++;
+  }
+
+  /**
+   * Whether a key has no requests left, by its declared limit or by what the
+   * API last reported
+   */
+  quotaExhausted(quota) {
+    if (quota.resetAt && Date.now() >= quota.resetAt) {
+      quota.remaining = null;
+      quota.resetAt = null;
+    }
+
+    const inWindow = !quota.windowMs || Date.now() - quota.windowStart < quota.windowMs;
+    return (quota.limit !== null && inWindow && quota.used >= quota.limit) || quota.remaining === 0;
+  }
+
+  readQuotaHeaders(quota, headers = {}) {
+    const names = this.quotaHeaders.find(candidate => headers[candidate.remaining] !== undefined);
+    if (!names) return;
+
+    const remaining = Number(headers[names.remaining]);
+    if (Number.isFinite(remaining)) quota.remaining = remaining;
+
+    // Reset is given in seconds from now or as a Unix time; without one an
+    // exhausted key is tried again after the circuit cool-down
+    const reset = Number(headers[names.reset]);
+    if (Number.isFinite(reset) && headers[names.reset] !== '') {
+      quota.resetAt = this.resetTime(reset);
+    } else {
+      quota.resetAt = quota.remaining === 0 ? Date.now() + this.cooldown : null;
+    }
+  }
+
+  /**
+   * Time a quota resets from a reset header's value
+   */
+  resetTime(reset) {
+    if (reset > this.maxUnixSeconds) return reset;
+    if (reset > this.minUnixSeconds) return reset * 1000;
+    return Date.now() + reset * 1000;
+  }
+
+  /**
+   * Circuit and quota state for every service used so far
+   */
+  status() {
+    return {
+      circuits: Object.fromEntries([...this.circuits].map(([service, circuit]) => [service, {
+        state: circuit.state === 'open' && !this.isOpen(service) ? 'half-open' : circuit.state,
+        failures: circuit.failures,
+        retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + this.cooldown).toISOString() : null
+      }])),
+      quotas: [...this.quotas.values()].map(quota => ({
+        id: quota.id,
+        service: quota.service,
+        used: quota.used,
+        limit: quota.limit,
+        remaining: quota.remaining,
+        resetAt: quota.resetAt ? new Date(quota.resetAt).toISOString() : null
+      }))
+    };
+  }
+}
+
+module.exports = new HttpClient();
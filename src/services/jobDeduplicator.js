@@ -0,0 +1,211 @@
+/**
+ * Job Deduplicator Service
+ * Finds listings of the same opening across job sources and merges them.
+ * Two listings are the same opening when their companies and titles match
+ * after normalization ("Stripe, Inc." = "Stripe", "Sr." = "Senior"), their
+ * cities don't conflict and, when both have real descriptions, the
+ * descriptions are mostly the same text. Same title at one company in
+ * another city or with a different description stays a separate job.
+ */
+
+class JobDeduplicator {
+  constructor() {
+    // Legal-form words dropped from the end of company names
+    this.companySuffixes = ['inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+      'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'pty', 'oy', 'ab', 'srl', 'spa'];
+
+    // Title abbreviations and their canonical words
+    this.titleAbbreviations = {
+      'sr': 'senior',
+      'snr': 'senior',
+      'jr': 'junior',
+      'mgr': 'manager',
+      'eng': 'engineer',
+      'engr': 'engineer',
+      'dev': 'developer',
+      'swe': 'software engineer',
+      'assoc': 'associate',
+      'asst': 'assistant',
+      'admin': 'administrator',
+      'dir': 'director',
+      'vp': 'vice president',
+      'fullstack': 'full stack',
+      'frontend': 'front end',
+      'backend': 'back end'
+    };
+
+    // Work arrangement words that boards add to titles
+    this.arrangementPattern = /\b(remote|hybrid|on-?site|in office|wfh)\b/i;
+
+    // Descriptions shorter than this (in words) are not compared
+    this.minDescriptionWords = 20;
+
+    // Share of the shorter description's word triples found in the other
+    // one above which two descriptions are the same posting
+    this.descriptionSimilarity = 0.5;
+  }
+
+  /**
+   * Merge listings of the same opening, keeping the first listing's position
+   * @param {Array} jobs - Normalized jobs from every source
+   * @returns {Array} Jobs with a `sources` list of { name, url } each
+   */
+  deduplicate(jobs) {
+    const groups = new Map();
+    const clusters = [];
+
+    for (const job of jobs) {
+      const signature = this.signatureOf(job);
+      const candidates = groups.get(signature.key) || [];
+      const cluster = candidates.find(existing => existing.members.every(member => this.sameOpening(member.signature, signature)));
+
+      if (cluster) {
+        cluster.members.push({ job, signature });
+      } else {
+        const created = { members: [{ job, signature }] };
+        candidates.push(created);
+        groups.set(signature.key, candidates);
+        clusters.push(created);
+      }
+    }
+
+    return clusters.map(cluster => this.merge(cluster.members.map(member => member.job)));
+  }
+
+  /**
+   * Normalized fields used to compare a job with others
+   */
+  signatureOf(job) {
+    const company = this.normalizeCompany(job.company);
+    const title = this.canonicalTitle(job.title);
+    const words = (job.description || '').toLowerCase().match(/[a-z0-9+#]+/g) || [];
+
+    return {
+      key: `${company}|${title}`,
+      place: this.placeOf(job.location),
+      shingles: words.length >= this.minDescriptionWords ? this.shinglesOf(words) : null
+    };
+  }
+
+  normalizeCompany(company = '') {
+    const words = company.toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (words[0] === 'the' && words.length > 1) words.shift();
+    while (words.length > 1 && this.companySuffixes.includes(words[words.length - 1])) {
+      words.pop();
+    }
+
+    return words.join(' ');
+  }
+
+  canonicalTitle(title = '') {
+    return this.withoutArrangement(title).toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9+#\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => this.titleAbbreviations[word] || word)
+      .join(' ');
+  }
+
+  /**
+   * A title without "(Remote)", "- Hybrid" and similar arrangement notes
+   */
+  withoutArrangement(title = '') {
+    return title
+      .replace(/\s*\(([^)]*)\)/g, (match, inner) => (this.arrangementPattern.test(inner) ? '' : match))
+      .replace(/\s[-–—|]\s.*$/, rest => (this.arrangementPattern.test(rest) ? '' : rest))
+      .trim();
+  }
+
+  /**
+   * City of a job's location, or null for remote jobs and ones that only
+   * name a country or region (those don't conflict with a city)
+   */
+  placeOf(location) {
+    if (!location?.city || location.isRemote) return null;
+
+    return location.city.toLowerCase().replace(/\s+city$/, '').replace(/[^a-z0-9]+/g, ' ').trim() || null;
+  }
+
+  shinglesOf(words) {
+    const shingles = new Set();
+    for (let i = 0; i + 2 < words.length; i++) {
+      shingles.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    }
+    return shingles;
+  }
+
+  /**
+   * Whether two jobs with the same company and title are the same opening
+   */
+  sameOpening(a, b) {
+    if (a.place && b.place && a.place !== b.place) return false;
+    if (!a.shingles || !b.shingles) return true;
+
+    const [smaller, larger] = a.shingles.size <= b.shingles.size ? [a.shingles, b.shingles] : [b.shingles, a.shingles];
+    let shared = 0;
+    for (const shingle of smaller) {
+      if (larger.has(shingle)) shared++;
+    }
+    return shared / smaller.size >= this.descriptionSimilarity;
+  }
+
+  /**
+   * The title written out in full, without arrangement notes (the merged
+   * location says where the job is): fewest abbreviations, then the longest
+   */
+  fullestTitle(titles) {
+    const shorthand = title => (title.toLowerCase().match(/[a-z]+/g) || [])
+      .filter(word => this.titleAbbreviations[word]).length;
+
+    return titles.map(title => this.withoutArrangement(title) || title)
+      .sort((a, b) => shorthand(a) - shorthand(b) || b.length - a.length)[0];
+  }
+
+  /**
+   * One job from listings of the same opening, keeping the most complete
+   * value of each field and every source's link
+   */
+  merge(jobs) {
+    if (jobs.length === 1) {
+      const [job] = jobs;
+      return { ...job, sources: job.sources || [{ name: job.source, url: job.url }] };
+    }
+
+    const longest = field => jobs.reduce((best, job) => ((job[field] || '').length > (best[field] || '').length ? job : best))[field];
+    // Board-stated full ranges first, then estimates and open-ended ones
+    const salaries = jobs.map(job => job.salary).filter(Boolean)
+      .sort((a, b) => Number(a.estimated) - Number(b.estimated) ||
+        Number(a.min === null || a.max === null) - Number(b.min === null || b.max === null));
+    const dates = jobs.map(job => job.posted).filter(posted => posted && !Number.isNaN(Date.parse(posted)));
+    const sources = [];
+
+    for (const job of jobs) {
+      for (const source of job.sources || [{ name: job.source, url: job.url }]) {
+        if (!sources.some(existing => existing.name === source.name && existing.url === source.url)) {
+          sources.push(source);
+        }
+      }
+    }
+
+    return {
+      ...jobs[0],
+      title: this.fullestTitle(jobs.map(job => job.title)),
+      company: longest('company'),
+      location: jobs.map(job => job.location).find(location => this.placeOf(location)) || jobs[0].location,
+      description: longest('description'),
+      url: sources.find(source => source.url && source.url !== '#')?.url || jobs[0].url,
+      salary: salaries[0] || null,
+      // The earliest listing is closest to when the job opened
+      posted: dates.sort((a, b) => Date.parse(a) - Date.parse(b))[0] || jobs[0].posted,
+      sources
+    };
+  }
+}
+
+module.exports = new JobDeduplicator();
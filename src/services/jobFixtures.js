@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const searchCache = require('./searchCache');
+
+/**
+ * Job Fixtures Service
+ * Records raw job provider responses to JSON files and replays them, so the
+ * whole search pipeline (the providers' normalizers, location and salary
+ * parsing, deduplication and matching) can run offline on fixed data.
+ *
+ * JOB_FIXTURES=record saves the listings of every live query; replay
+ * answers queries from the files instead of the APIs, for any provider
+ * that has a file, whether or not its API keys are set. Each provider has
+ * one file named after it (jsearch.json) holding
+ * { provider, responses: [{ query, filters, page, recordedAt, listings }] }.
+ * A response without a query or filters answers any query or filters; one
+ * without a page is the first page.
+ */
+
+class JobFixtures {
+  constructor() {
+    this.modes = ['off', 'record', 'replay'];
+    this.mode = this.modes.includes(process.env.JOB_FIXTURES) ? process.env.JOB_FIXTURES : 'off';
+    this.directory = path.resolve(process.env.JOB_FIXTURES_DIR || path.join(__dirname, '../../data/job-fixtures'));
+
+    // Recordings in progress per file, so parallel queries don't overwrite
+    // each other's responses
+    this.writes = new Map();
+
+    if (this.recording()) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  recording() {
+    return this.mode === 'record';
+  }
+
+  replaying() {
+    return this.mode === 'replay';
+  }
+
+  fileOf(provider) {
+    return path.join(this.directory, `${provider.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`);
+  }
+
+  has(provider) {
+    return fs.existsSync(this.fileOf(provider));
+  }
+
+  read(provider) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(this.fileOf(provider), 'utf-8'));
+      return Array.isArray(fixture.responses) ? fixture : { provider: provider.name, responses: [] };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Job fixture for ${provider.name} could not be read:`, error.message);
+      }
+      return { provider: provider.name, responses: [] };
+    }
+  }
+
+  /**
+   * Recorded listings for a page of a query: the response recorded for the
+   * same query and filters, else one recorded for any query or filters
+   * @returns {Array} Raw listings, empty when nothing was recorded
+   */
+  replay(provider, query, filters, page = 1) {
+    const key = searchCache.keyOf(provider.name, query, filters);
+    const matches = response => (response.page || 1) === page &&
+      searchCache.keyOf(provider.name, response.query ?? query, response.filters ?? filters) === key;
+    const { responses } = this.read(provider);
+    const response = responses.find(candidate => candidate.query !== undefined && candidate.filters !== undefined && matches(candidate)) ||
+      responses.find(matches);
+
+    if (!response) {
+      console.log(`${provider.name}: no recorded response for "${query}"${page > 1 ? ` page ${page}` : ''}`);
+      return [];
+    }
+    return response.listings || [];
+  }
+
+  /**
+   * Save a live query's listings, replacing an earlier recording of the
+   * same query, filters and page
+   */
+  record(provider, query, filters, page, listings) {
+    const file = this.fileOf(provider);
+    const previous = this.writes.get(file) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const fixture = this.read(provider);
+      const key = searchCache.keyOf(provider.name, query, filters);
+      const response = { query, filters, page, recordedAt: new Date().toISOString(), listings };
+      const index = fixture.responses.findIndex(existing => existing.query !== undefined && existing.filters !== undefined &&
+        (existing.page || 1) === page && searchCache.keyOf(provider.name, existing.query, existing.filters) === key);
+
+      if (index >= 0) {
+        fixture.responses[index] = response;
+      } else {
+        fixture.responses.push(response);
+      }
+
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, `${JSON.stringify({ ...fixture, provider: provider.name }, null, 2)}\n`);
+      await fs.promises.rename(temporary, file);
+    }).catch(error => {
+      console.error(`Job fixture for ${provider.name} could not be written:`, error.message);
+    });
+
+    this.writes.set(file, write);
+    return write;
+  }
+}
+
+module.exports = new JobFixtures();
@@ -1,3 +1,10 @@
+const skillTaxonomy = require('./skillTaxonomy');
+const educationExtractor = require('./educationExtractor');
+const roleTaxonomy = require('./roleTaxonomy');
+const taxonomyPacks = require('./taxonomyPacks');
+const descriptionProcessor = require('./descriptionProcessor');
+const postingDates = require('./postingDates');
+
 /**
  * Job Matching Service
  *
@@ -6,6 +13,14 @@
  * 2. Experience level - Is the required experience realistic for the candidate?
  * 3. Content match - How well do skills and keywords align?
  *
+ * The weighted total is then adjusted for credentials: a required degree,
+ * certification or security clearance the candidate lacks lowers it,
+ * preferred ones they hold raise it.
+ *
+ * Requirements come from descriptionProcessor, which reads the posting's
+ * qualification sections rather than the whole text. Older postings lose a
+ * few points (see postingDates.freshness).
+ *
  * Categories:
  * - Recommended (90-95% confidence): Best matches, high success probability
  * - Worth Exploring (70-89% confidence): Good matches, worth applying
@@ -25,6 +40,9 @@ class JobMatcher {
       'ux designer': ['product designer', 'ui designer', 'interaction designer', 'user experience designer'],
       'devops engineer': ['sre', 'site reliability engineer', 'platform engineer', 'infrastructure engineer']
     };
+    // Titles are compared in lowercase, so pack synonyms are too
+    this.roleSynonyms = Object.fromEntries(Object.entries(taxonomyPacks.extendMap('roleSynonyms', this.roleSynonyms))
+      .map(([canonical, synonyms]) => [canonical.toLowerCase(), synonyms.map(synonym => synonym.toLowerCase())]));
 
     // Experience level requirements (in years)
     this.experienceLevels = {
@@ -40,6 +58,54 @@ class JobMatcher {
       'director': { min: 8, max: 20 },
       'vp': { min: 10, max: 25 }
     };
+    this.experienceLevels = taxonomyPacks.extendMap('experienceLevels', this.experienceLevels);
+
+    // Position of each job level and candidate seniority on one ladder
+    this.levelRanks = {
+      'intern': 0, 'entry': 1, 'junior': 1, 'mid': 2, 'senior': 3, 'lead': 3,
+      'staff': 4, 'manager': 4, 'principal': 5, 'director': 5, 'vp': 6
+    };
+
+    // Job level for each rung of a role family's ladder
+    this.ladderLevels = { entry: 'junior', mid: 'mid', senior: 'senior', manager: 'manager' };
+
+    // Below this confidence the candidate's detected seniority is ignored
+    this.minSeniorityConfidence = 0.5;
+
+    // Points added to or taken off the total for credentials
+    this.credentialAdjustments = {
+      missingDegree: -15,
+      // "or equivalent experience" postings, when the candidate has too little of it
+      missingDegreeEquivalent: -5,
+      missingCertification: -10,
+      heldCertification: 3,
+      missingClearance: -20,
+      heldClearance: 3
+    };
+    // Years of experience accepted in place of a degree when the posting allows it
+    this.equivalentExperienceYears = 4;
+
+    // Weight of a skill the posting only lists as a plus, against a required one
+    this.preferredSkillWeight = 0.5;
+
+    // Years above a stated minimum that still fit an open-ended requirement ("5+ years")
+    this.openEndedExperienceSpan = 5;
+
+    // Wording for match explanations
+    this.levelNames = {
+      'intern': 'Internship', 'entry': 'Entry-level', 'junior': 'Junior', 'mid': 'Mid-level', 'senior': 'Senior',
+      'staff': 'Staff', 'principal': 'Principal', 'lead': 'Lead', 'manager': 'Manager', 'director': 'Director', 'vp': 'VP'
+    };
+    this.degreeNames = {
+      'high school': 'a high school diploma', 'associate': "an associate degree", 'bachelor': "a bachelor's degree",
+      'master': "a master's degree", 'doctorate': 'a doctorate'
+    };
+    this.capExplanations = {
+      aboveSeniority: score => `Capped at ${score}: the role is two or more levels above your seniority`,
+      belowSeniority: score => `Capped at ${score}: the role is two or more levels below your seniority`,
+      pivotSenior: score => `Capped at ${score}: a senior role in a field where you have under 3 years (career change)`,
+      pivotBoost: score => `Raised to ${score}: an entry or mid-level role suits a career change`
+    };
   }
 
   /**
@@ -55,7 +121,8 @@ class JobMatcher {
         ...job,
         matchScore: scores.total,
         scores: scores,
-        confidence: this.calculateConfidence(scores)
+        confidence: this.calculateConfidence(scores),
+        explanation: this.generateMatchExplanation(scores, resumeData, job)
       };
     });
 
@@ -74,73 +141,100 @@ class JobMatcher {
   }
 
   /**
-   * Calculate match score based on 3 criteria
+   * Calculate match score based on 3 criteria. breakdown has what each
+   * criterion found, for explaining the match.
    */
   calculateMatchScore(resumeData, job) {
     // Criterion 1: Role Alignment (40% weight)
-    const roleScore = this.calculateRoleScore(resumeData, job);
+    const roleMatch = this.matchRole(resumeData, job);
+    const roleScore = roleMatch.score;
 
     // Criterion 2: Experience Level Match (35% weight)
-    const experienceScore = this.calculateExperienceScore(resumeData, job);
+    const experienceMatch = this.matchExperience(resumeData, job);
+    const experienceScore = experienceMatch.score;
 
     // Criterion 3: Content/Skills Match (25% weight)
-    const contentScore = this.calculateContentScore(resumeData, job);
+    const skillMatch = this.matchSkills(resumeData, job);
+    const contentScore = skillMatch.score;
+
+    // Degree and certification requirements adjust the weighted total
+    const credentials = this.checkCredentials(resumeData, job);
+
+    // So does the posting's age
+    const freshness = postingDates.freshness(job.posted);
 
     // Weighted total
-    const total = (roleScore * 0.40) + (experienceScore * 0.35) + (contentScore * 0.25);
+    const weighted = (roleScore * 0.40) + (experienceScore * 0.35) + (contentScore * 0.25);
+    const total = Math.min(100, Math.max(0, weighted + credentials.adjustment + freshness.adjustment));
 
     return {
       role: roleScore,
       experience: experienceScore,
       content: contentScore,
+      credentials,
+      freshness,
+      breakdown: { role: roleMatch, experience: experienceMatch, skills: skillMatch },
       total: Math.round(total * 100) / 100
     };
   }
 
   /**
    * Criterion 1: Role Alignment Score
-   * Does the job title match the candidate's career path?
+   * Does the job title match the candidate's career path? Also lists how
+   * each of the candidate's roles relates to the job title: the same title
+   * ('exact'), a synonym, or the same family
+   * @returns {Object} { score, kind, matches: [{ title, primary, kind }], roleType }
+   *   - kind is what decided the score: exact, synonym, family, type or none
    */
-  calculateRoleScore(resumeData, job) {
+  matchRole(resumeData, job) {
     const jobTitle = job.title.toLowerCase();
-    const candidateRoles = resumeData.roles.map(r => r.title.toLowerCase());
-    const primaryRole = resumeData.primaryRole?.title?.toLowerCase() || '';
-
-    let score = 0;
+    const primaryTitle = resumeData.primaryRole?.title || '';
+    const primaryRole = primaryTitle.toLowerCase();
+    const roleType = resumeData.primaryRole?.type || null;
+
+    const titles = [primaryTitle, ...(resumeData.positions || []).map(p => p.title)].filter(Boolean);
+    const matches = [...new Map(titles.map(title => [title.toLowerCase(), title])).values()]
+      .map(title => ({
+        title,
+        primary: title.toLowerCase() === primaryRole,
+        kind: this.titleMatchKind(jobTitle, title.toLowerCase()) ||
+          (this.sameRoleFamily(jobTitle, title.toLowerCase()) ? 'family' : null)
+      }))
+      .filter(match => match.kind);
+    const titleMatch = match => match.kind === 'exact' || match.kind === 'synonym';
 
     // Check for exact match with primary role
-    if (this.titlesMatch(jobTitle, primaryRole)) {
-      score = 100;
+    const primary = matches.find(match => match.primary && titleMatch(match));
+    if (primary) {
+      return { score: 100, kind: primary.kind, matches, roleType };
     }
     // Check for match with any previous role
-    else if (candidateRoles.some(role => this.titlesMatch(jobTitle, role))) {
-      score = 85;
+    const previous = matches.find(match => !match.primary && titleMatch(match));
+    if (previous) {
+      return { score: 85, kind: previous.kind, matches, roleType };
     }
     // Check for same role family (e.g., frontend engineer -> software engineer)
-    else if (this.sameRoleFamily(jobTitle, primaryRole)) {
-      score = 70;
+    if (this.sameRoleFamily(jobTitle, primaryRole)) {
+      return { score: 70, kind: 'family', matches, roleType };
     }
     // Check for related role type
-    else if (this.relatedRoleType(jobTitle, resumeData.primaryRole?.type)) {
-      score = 50;
+    if (this.relatedRoleType(jobTitle, roleType)) {
+      return { score: 50, kind: 'type', matches, roleType };
     }
     // Minimal match
-    else {
-      score = 20;
-    }
-
-    return score;
+    return { score: 20, kind: 'none', matches, roleType };
   }
 
   /**
-   * Check if two job titles effectively match
+   * How two job titles match: 'exact' when one contains the other,
+   * 'synonym' when both name the same role, else null
    */
-  titlesMatch(title1, title2) {
-    if (!title1 || !title2) return false;
+  titleMatchKind(title1, title2) {
+    if (!title1 || !title2) return null;
 
     // Direct match
     if (title1.includes(title2) || title2.includes(title1)) {
-      return true;
+      return 'exact';
     }
 
     // Check synonyms
@@ -150,34 +244,18 @@ class JobMatcher {
       const title2Matches = allVariants.some(v => title2.includes(v));
 
       if (title1Matches && title2Matches) {
-        return true;
+        return 'synonym';
       }
     }
 
-    return false;
+    return null;
   }
 
   /**
-   * Check if roles are in the same family
+   * Check if roles are in the same family (Management alone doesn't count)
    */
   sameRoleFamily(jobTitle, candidateRole) {
-    const families = {
-      engineering: ['engineer', 'developer', 'programmer', 'architect'],
-      product: ['product manager', 'product owner', 'program manager'],
-      design: ['designer', 'ux', 'ui'],
-      data: ['data scientist', 'data analyst', 'data engineer', 'ml engineer']
-    };
-
-    for (const [family, keywords] of Object.entries(families)) {
-      const jobInFamily = keywords.some(kw => jobTitle.includes(kw));
-      const candidateInFamily = keywords.some(kw => candidateRole?.includes(kw));
-
-      if (jobInFamily && candidateInFamily) {
-        return true;
-      }
-    }
-
-    return false;
+    return roleTaxonomy.sameFamily(jobTitle, candidateRole);
   }
 
   /**
@@ -185,17 +263,7 @@ class JobMatcher {
    */
   relatedRoleType(jobTitle, roleType) {
     if (!roleType) return false;
-
-    const typeKeywords = {
-      'Engineering': ['engineer', 'developer', 'technical'],
-      'Product': ['product', 'program', 'project'],
-      'Design': ['design', 'ux', 'ui', 'creative'],
-      'Data': ['data', 'analytics', 'ml', 'ai'],
-      'Management': ['manager', 'lead', 'director', 'head']
-    };
-
-    const keywords = typeKeywords[roleType] || [];
-    return keywords.some(kw => jobTitle.includes(kw));
+    return roleTaxonomy.isRelated(jobTitle, roleType);
   }
 
   /**
@@ -204,35 +272,63 @@ class JobMatcher {
    *
    * KEY LOGIC: If someone has 8 years total but only 2 in Product Management,
    * don't show them Senior PM roles - show them mid-level PM roles
+   * @returns {Object} { score, jobLevel, required: { min, max }, source, relevantYears,
+   *   disciplines, fit, caps: [{ reason, score }] }
+   *   - source is 'posting' when the posting states the years, else 'level'
+   *   - fit is fit, close, under or over; caps are the limits that changed the score
    */
-  calculateExperienceScore(resumeData, job) {
+  matchExperience(resumeData, job) {
     const jobTitle = job.title.toLowerCase();
-    const requiredYears = this.extractRequiredExperience(job);
     const jobLevel = this.extractJobLevel(jobTitle);
 
     // Get candidate's relevant experience (not total experience!)
     const relevantExperience = this.getRelevantExperience(resumeData, job);
-    const candidateLevel = resumeData.seniorityLevel;
+    const seniority = resumeData.seniority;
+    const caps = [];
 
     let score = 0;
+    let fit;
 
-    // Check if candidate has enough relevant experience
-    const levelRequirements = this.experienceLevels[jobLevel] || { min: 0, max: 100 };
+    // Check if candidate has enough relevant experience: the years the
+    // posting asks for, else the usual range for the title's level
+    const stated = this.extractRequiredExperience(job);
+    const levelRequirements = stated || this.experienceLevels[jobLevel] || { min: 0, max: 100 };
 
     if (relevantExperience >= levelRequirements.min && relevantExperience <= levelRequirements.max + 2) {
       // Perfect fit
       score = 100;
+      fit = 'fit';
     } else if (relevantExperience >= levelRequirements.min - 1 && relevantExperience <= levelRequirements.max + 3) {
       // Close fit (slight stretch)
       score = 80;
+      fit = 'close';
     } else if (relevantExperience < levelRequirements.min) {
       // Under-qualified - penalize based on gap
       const gap = levelRequirements.min - relevantExperience;
       score = Math.max(0, 70 - (gap * 15)); // Lose 15 points per year gap
+      fit = 'under';
     } else {
       // Over-qualified
       const gap = relevantExperience - levelRequirements.max;
       score = Math.max(40, 90 - (gap * 10)); // Slight penalty for overqualification
+      fit = 'over';
+    }
+
+    const limit = (reason, value, raise = false) => {
+      const limited = raise ? Math.max(score, value) : Math.min(score, value);
+      if (limited !== score) caps.push({ reason, score: limited });
+      score = limited;
+    };
+
+    // Only act on the candidate's detected seniority when the evidence is strong.
+    // Two or more rungs apart on the ladder is a poor fit either way.
+    if (seniority && seniority.confidence >= this.minSeniorityConfidence) {
+      const rungGap = this.levelRanks[jobLevel] - this.levelRanks[seniority.level];
+      if (rungGap >= 2) {
+        limit('aboveSeniority', 60);
+      } else if (rungGap <= -2) {
+        limit('belowSeniority', 70);
+      }
     }
 
     // Special case: Career pivoters
@@ -240,47 +336,57 @@ class JobMatcher {
     if (resumeData.totalYearsExperience > 5 && relevantExperience < 3) {
       // Career pivoter - they should target entry/mid level roles in new field
       if (jobLevel === 'senior' || jobLevel === 'lead' || jobLevel === 'manager') {
-        score = Math.min(score, 40); // Cap score for senior roles during pivot
+        limit('pivotSenior', 40); // Cap score for senior roles during pivot
       } else if (jobLevel === 'mid' || jobLevel === 'junior' || jobLevel === 'entry') {
-        score = Math.max(score, 70); // Boost for appropriate level roles
+        limit('pivotBoost', 70, true); // Boost for appropriate level roles
       }
     }
 
-    return score;
+    return {
+      score,
+      jobLevel,
+      required: { min: levelRequirements.min, max: levelRequirements.max },
+      source: stated ? 'posting' : 'level',
+      relevantYears: relevantExperience,
+      disciplines: roleTaxonomy.disciplinesOf(job.title),
+      fit,
+      caps
+    };
   }
 
   /**
-   * Get relevant experience for the specific job type
+   * Get relevant experience for the specific job type: the candidate's years
+   * in the job's discipline ("Marketing Manager" counts Marketing, not Management)
    */
   getRelevantExperience(resumeData, job) {
-    const jobTitle = job.title.toLowerCase();
-    const experienceByRole = resumeData.experienceByRole;
-
-    // Determine which experience category is relevant
-    let relevantYears = 0;
-
-    if (jobTitle.includes('engineer') || jobTitle.includes('developer')) {
-      relevantYears = experienceByRole['Engineering']?.years || 0;
-    } else if (jobTitle.includes('product manager') || jobTitle.includes('program manager')) {
-      relevantYears = experienceByRole['Product']?.years || 0;
-    } else if (jobTitle.includes('designer') || jobTitle.includes('ux') || jobTitle.includes('ui')) {
-      relevantYears = experienceByRole['Design']?.years || 0;
-    } else if (jobTitle.includes('data') || jobTitle.includes('analyst') || jobTitle.includes('ml')) {
-      relevantYears = experienceByRole['Data']?.years || 0;
-    } else if (jobTitle.includes('manager') || jobTitle.includes('director') || jobTitle.includes('lead')) {
-      relevantYears = experienceByRole['Management']?.years || 0;
-    } else {
-      // Default to total experience
-      relevantYears = resumeData.totalYearsExperience;
+    const experienceByRole = resumeData.experienceByRole || {};
+    const jobTypes = roleTaxonomy.disciplinesOf(job.title);
+
+    // Default to total experience when the title fits no family
+    if (jobTypes.length === 0) {
+      return resumeData.totalYearsExperience;
     }
 
-    return relevantYears;
+    return Math.max(...jobTypes.map(type => experienceByRole[type]?.years || 0));
   }
 
   /**
-   * Extract job level from title
+   * Extract job level from title. Titles on a family's ladder take that
+   * rung ("Sales Development Representative" is junior, "Charge Nurse"
+   * senior) unless a seniority word outside the ladder title says otherwise.
    */
   extractJobLevel(jobTitle) {
+    const rung = roleTaxonomy.ladderRung(jobTitle);
+    const level = this.titleLevel(rung ? jobTitle.replace(rung.phrase, ' ') : jobTitle);
+
+    // Default to mid-level if no level specified
+    return level || (rung ? this.ladderLevels[rung.level] : 'mid');
+  }
+
+  /**
+   * Job level named by seniority words in a title, or null
+   */
+  titleLevel(jobTitle) {
     const title = jobTitle.toLowerCase();
 
     if (title.includes('intern')) return 'intern';
@@ -293,85 +399,154 @@ class JobMatcher {
     if (title.includes('director')) return 'director';
     if (title.includes('vp') || title.includes('vice president')) return 'vp';
 
-    // Default to mid-level if no level specified
-    return 'mid';
+    return null;
   }
 
   /**
-   * Extract required years of experience from job posting
+   * Years of experience the posting requires, as a range. An open-ended
+   * requirement ("5+ years") reaches the title level's usual maximum.
+   * @returns {Object|null} { min, max }, or null when the posting states none
    */
   extractRequiredExperience(job) {
-    const description = (job.description || '').toLowerCase();
-
-    // Look for patterns like "5+ years", "3-5 years", "minimum 4 years"
-    const patterns = [
-      /(\d+)\+?\s*(?:years?|yrs?)\s*(?:of\s*)?experience/i,
-      /(\d+)\s*-\s*(\d+)\s*years?/i,
-      /minimum\s*(\d+)\s*years?/i,
-      /at least\s*(\d+)\s*years?/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = description.match(pattern);
-      if (match) {
-        return parseInt(match[1]);
-      }
-    }
+    const { experience } = descriptionProcessor.analyze(job.description).requirements;
+    if (!experience || !experience.required) return null;
 
-    // Default based on job level
-    const level = this.extractJobLevel(job.title);
-    return this.experienceLevels[level]?.min || 2;
+    const levelMax = this.experienceLevels[this.extractJobLevel(job.title)]?.max || 0;
+    return {
+      min: experience.min,
+      max: experience.max ?? Math.max(levelMax, experience.min + this.openEndedExperienceSpan)
+    };
   }
 
   /**
    * Criterion 3: Content/Skills Match Score
-   * How well do skills and keywords align?
+   * How well do skills and keywords align? Also names the skills the
+   * candidate has and lacks.
+   * @returns {Object} { score, matched, missing, preferredMatched, preferredMissing } - skill names
    */
-  calculateContentScore(resumeData, job) {
-    const candidateSkills = resumeData.skills.technical.map(s => s.toLowerCase());
-    const candidateKeywords = resumeData.keywords.map(k => k.toLowerCase());
-    const allCandidateTerms = [...candidateSkills, ...candidateKeywords];
+  matchSkills(resumeData, job) {
+    const candidateSkills = new Set((resumeData.skills.items || []).map(skill => skill.id));
+
+    // Canonical skills the posting asks for (soft skills don't move the
+    // score); ones it only lists as a plus count for less
+    const { required, preferred } = this.getJobSkills(job);
+    const jobSkills = [
+      ...required.map(skill => ({ skill, weight: 1 })),
+      ...preferred.map(skill => ({ skill, weight: this.preferredSkillWeight }))
+    ].filter(({ skill }) => skill.category !== 'soft skill');
+
+    const totalJobSkills = jobSkills.reduce((sum, { weight }) => sum + weight, 0);
+    const matchedSkills = jobSkills
+      .filter(({ skill }) => candidateSkills.has(skill.id))
+      .reduce((sum, { weight }) => sum + weight, 0);
+
+    const names = (weight, held) => jobSkills
+      .filter(entry => entry.weight === weight && candidateSkills.has(entry.skill.id) === held)
+      .map(entry => entry.skill.name);
+    const result = {
+      matched: names(1, true),
+      missing: names(1, false),
+      preferredMatched: names(this.preferredSkillWeight, true),
+      preferredMissing: names(this.preferredSkillWeight, false)
+    };
 
-    // Extract skills/requirements from job
-    const jobDescription = (job.description || '').toLowerCase();
-    const jobTitle = job.title.toLowerCase();
-    const jobText = `${jobTitle} ${jobDescription}`;
+    // Calculate score
+    if (totalJobSkills === 0) {
+      // No specific skills mentioned - be generous
+      return { score: candidateSkills.size > 0 ? 75 : 50, ...result };
+    }
 
-    // Count matching skills
-    let matchedSkills = 0;
-    let totalJobSkills = 0;
+    const matchRatio = matchedSkills / Math.max(totalJobSkills, 1);
+    const score = Math.min(100, matchRatio * 120); // Slight boost for high matches
 
-    // Check each candidate skill against job description
-    for (const skill of candidateSkills) {
-      if (jobText.includes(skill)) {
-        matchedSkills++;
+    return { score: Math.round(score), ...result };
+  }
+
+  /**
+   * Compare the posting's degree, certification and clearance requirements
+   * with the candidate's. A degree is only held against a candidate whose
+   * resume lists some education, since many resumes leave it out.
+   * @returns {Object} { degree: { level, required, met } | null,
+   *   missingCertifications: [name], heldCertifications: [name],
+   *   clearance: { level, required, met } | null, adjustment }
+   */
+  checkCredentials(resumeData, job) {
+    const { requirements } = descriptionProcessor.analyze(job.description);
+    const education = resumeData.education || [];
+    const certifications = resumeData.certifications || [];
+    let adjustment = 0;
+
+    let degree = null;
+    if (requirements.degree) {
+      const met = educationExtractor.meetsDegreeLevel(education, requirements.degree.level);
+      degree = { level: requirements.degree.level, required: requirements.degree.required, met };
+
+      if (!met && requirements.degree.required && education.length > 0) {
+        if (!requirements.degree.equivalentAllowed) {
+          adjustment += this.credentialAdjustments.missingDegree;
+        } else if (resumeData.totalYearsExperience < this.equivalentExperienceYears) {
+          adjustment += this.credentialAdjustments.missingDegreeEquivalent;
+        }
       }
     }
 
-    // Estimate job requirements (rough count of technical terms)
-    const technicalTerms = [
-      'javascript', 'python', 'java', 'react', 'node', 'aws', 'sql', 'docker',
-      'kubernetes', 'agile', 'scrum', 'typescript', 'angular', 'vue', 'go',
-      'postgresql', 'mongodb', 'redis', 'graphql', 'rest', 'api', 'ci/cd',
-      'figma', 'sketch', 'adobe', 'analytics', 'tableau', 'spark'
-    ];
-
-    for (const term of technicalTerms) {
-      if (jobText.includes(term)) {
-        totalJobSkills++;
+    const missingCertifications = [];
+    const heldCertifications = [];
+    for (const cert of requirements.certifications) {
+      if (educationExtractor.holdsCertification(certifications, cert.id)) {
+        heldCertifications.push(cert.name);
+        adjustment += this.credentialAdjustments.heldCertification;
+      } else if (cert.required) {
+        missingCertifications.push(cert.name);
+        adjustment += this.credentialAdjustments.missingCertification;
       }
     }
 
-    // Calculate score
-    if (totalJobSkills === 0) {
-      // No specific skills mentioned - be generous
-      return candidateSkills.length > 0 ? 75 : 50;
+    let clearance = null;
+    if (requirements.clearance) {
+      const met = descriptionProcessor.meetsClearance(this.getClearance(resumeData), requirements.clearance.level);
+      clearance = { level: requirements.clearance.level, required: requirements.clearance.required, met };
+
+      if (met) {
+        adjustment += this.credentialAdjustments.heldClearance;
+      } else if (requirements.clearance.required) {
+        adjustment += this.credentialAdjustments.missingClearance;
+      }
     }
 
-    const matchRatio = matchedSkills / Math.max(totalJobSkills, 1);
-    const score = Math.min(100, matchRatio * 120); // Slight boost for high matches
+    return { degree, missingCertifications, heldCertifications, clearance, adjustment };
+  }
 
-    return Math.round(score);
+  /**
+   * Security clearance named anywhere on the resume ("Active TS/SCI"), or
+   * null; being eligible for one doesn't count
+   */
+  getClearance(resumeData) {
+    const text = [
+      ...Object.values(resumeData.sections || {}),
+      ...(resumeData.positions || []).flatMap(position => position.bullets || []),
+      ...(resumeData.certifications || []).map(cert => cert.name)
+    ].join('\n')
+      .split('\n')
+      .filter(line => !descriptionProcessor.obtainablePattern.test(line))
+      .join('\n');
+
+    return descriptionProcessor.findClearance(text, true);
+  }
+
+  /**
+   * Canonical skills a job asks for, from its title and requirements, and
+   * the ones its preferred qualifications list
+   * @returns {Object} { required: [skill], preferred: [skill] }
+   */
+  getJobSkills(job) {
+    const { skills } = descriptionProcessor.analyze(job.description).requirements;
+    const required = [...skillTaxonomy.extract(job.title)];
+    for (const skill of skills.required) {
+      if (!required.some(existing => existing.id === skill.id)) required.push(skill);
+    }
+
+    return { required, preferred: skills.preferred.filter(skill => !required.some(existing => existing.id === skill.id)) };
   }
 
   /**
@@ -399,9 +574,41 @@ class JobMatcher {
   }
 
   /**
-   * Generate match explanation for the user
+   * Generate match explanation for the user: the role, level, skills,
+   * credentials and freshness behind the scores, each with a sentence for
+   * the job card
+   * @param {Object} scores - From calculateMatchScore
+   * @returns {Object} { summary: [text], role, experience, skills, credentials: [text], freshness }
    */
   generateMatchExplanation(scores, resumeData, job) {
+    const { role, experience, skills } = scores.breakdown;
+
+    return {
+      summary: this.summarizeMatch(scores, resumeData),
+      role: { kind: role.kind, matches: role.matches, text: this.explainRole(role, job) },
+      experience: {
+        jobLevel: experience.jobLevel,
+        required: experience.required,
+        source: experience.source,
+        relevantYears: experience.relevantYears,
+        fit: experience.fit,
+        text: this.explainExperience(experience, job),
+        caps: experience.caps.map(cap => ({ ...cap, text: this.capExplanations[cap.reason](cap.score) }))
+      },
+      skills: { ...skills, text: this.explainSkills(skills) },
+      credentials: this.explainCredentials(scores.credentials),
+      freshness: {
+        ...scores.freshness,
+        text: `${postingDates.formatAge(job.posted) ? `Posted ${postingDates.formatAge(job.posted)}` : 'Posting date unknown'}` +
+          (scores.freshness.adjustment < 0 ? ` (${scores.freshness.adjustment} points)` : '')
+      }
+    };
+  }
+
+  /**
+   * Short highlights of a match
+   */
+  summarizeMatch(scores, resumeData) {
     const explanations = [];
 
     // Role explanation
@@ -427,6 +634,83 @@ class JobMatcher {
 
     return explanations;
   }
+
+  explainRole(role, job) {
+    const deciding = role.matches.find(match => match.kind === role.kind && (match.primary || role.score < 100));
+
+    switch (role.kind) {
+      case 'exact':
+        return `Same title as your ${deciding.primary ? 'target role' : 'past role'}, ${deciding.title}`;
+      case 'synonym': {
+        // Synonyms can sit on different rungs ("Staff Developer" for a Senior Engineer)
+        const sameLevel = this.extractJobLevel(job.title) === this.extractJobLevel(deciding.title);
+        return `${job.title} is ${sameLevel ? 'another name for' : 'a role similar to'} your ${deciding.primary ? 'target role' : 'past role'}, ${deciding.title}`;
+      }
+      case 'family':
+        return `Same role family as your ${role.matches.filter(match => match.kind === 'family').map(match => match.title).join(', ')}`;
+      case 'type':
+        return `Related to your ${role.roleType} background`;
+      default:
+        return 'Outside the roles on your resume';
+    }
+  }
+
+  explainExperience(experience, job) {
+    const level = this.levelNames[experience.jobLevel] || experience.jobLevel;
+    const stated = experience.source === 'posting' && descriptionProcessor.analyze(job.description).requirements.experience;
+    const range = stated
+      ? `the posting asks for ${stated.max === null ? `${stated.min}+` : `${stated.min}-${stated.max}`} years`
+      : `usually ${experience.required.min}-${experience.required.max} years`;
+    const years = Math.round(experience.relevantYears * 10) / 10;
+    const field = experience.disciplines.length > 0 ? ` in ${experience.disciplines.join(' or ')}` : ' in total';
+    const fits = {
+      fit: 'a good fit',
+      close: 'a slight stretch',
+      under: `${Math.round((experience.required.min - experience.relevantYears) * 10) / 10} years short`,
+      over: 'more than it asks for'
+    };
+
+    return `${level} role, ${range}; you have ${years} year${years === 1 ? '' : 's'}${field}, ${fits[experience.fit]}`;
+  }
+
+  explainSkills(skills) {
+    const required = skills.matched.length + skills.missing.length;
+    const preferred = skills.preferredMatched.length + skills.preferredMissing.length;
+    if (required + preferred === 0) return 'The posting names no specific skills';
+
+    const count = (held, total) => {
+      if (total === 1) return held === 1 ? 'the one skill' : 'none of the one skill';
+      return held === total ? `all ${total} skills` : `${held} of the ${total} skills`;
+    };
+    return [
+      required > 0 && `You have ${count(skills.matched.length, required)} it asks for`,
+      preferred > 0 && `${count(skills.preferredMatched.length, preferred)} it would like`
+    ].filter(Boolean).join(' and ');
+  }
+
+  explainCredentials(credentials) {
+    const lines = [];
+    const { degree, clearance } = credentials;
+
+    if (degree) {
+      const name = this.degreeNames[degree.level] || `a ${degree.level} degree`;
+      if (degree.met) lines.push(`You have ${name}, which it ${degree.required ? 'asks for' : 'prefers'}`);
+      else lines.push(`${degree.required ? 'Asks for' : 'Prefers'} ${name}`);
+    }
+    if (credentials.heldCertifications.length > 0) {
+      lines.push(`You hold ${credentials.heldCertifications.join(', ')}`);
+    }
+    if (credentials.missingCertifications.length > 0) {
+      lines.push(`Requires ${credentials.missingCertifications.join(', ')}`);
+    }
+    if (clearance) {
+      const level = clearance.level === 'ts/sci' ? 'TS/SCI' : clearance.level.replace(/\b\w/g, letter => letter.toUpperCase());
+      if (clearance.met) lines.push(`Your clearance meets its ${level} requirement`);
+      else lines.push(`${clearance.required ? 'Requires' : 'Mentions'} ${level} clearance`);
+    }
+
+    return lines;
+  }
 }
 
 module.exports = new JobMatcher();
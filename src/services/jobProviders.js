@@ -0,0 +1,335 @@
+const fs = require('fs');
+const path = require('path');
+const httpClient = require('./httpClient');
+const searchCache = require('./searchCache');
+const jobFixtures = require('./jobFixtures');
+const contactExtractor = require('./contactExtractor');
+const descriptionProcessor = require('./descriptionProcessor');
+const postingDates = require('./postingDates');
+
+/**
+ * Job Providers Service
+ * Discovers job source modules in ./providers and runs them. Each provider
+ * declares the environment variables it needs, the search filters its API
+ * supports and a normalizer from the API's listing into the shared job
+ * schema. Adding a job board is a single new file in ./providers.
+ *
+ * A provider module exports { name, config, filters, search, normalize }:
+ * config maps setting names to environment variables, search(query, region,
+ * config) returns the API's raw listings for a query { text, include,
+ * exclude } (the keyword lists are only filled for providers with the
+ * keywords filter) and normalize(listing, region) maps one to a job (salary
+ * as a salaryParser structure, location as text or partial location
+ * details, description and posted date as the API sends them; they are
+ * turned into plain text and an ISO timestamp, or null, here). search also
+ * gets the page to fetch, from 1, and reads region.postedWithin (days) if
+ * the provider has the date filter. maxQueries, pageSize (listings per
+ * page), maxPages, supportsRegion(region), cacheTtl (seconds) and http
+ * (timeout, retries and quota settings for the shared HTTP client) are
+ * optional.
+ */
+
+class JobProviders {
+  constructor() {
+    this.directory = path.join(__dirname, 'providers');
+
+    // Filters a provider can declare support for
+    this.filters = ['location', 'remote', 'date', 'salary', 'keywords'];
+
+    // Queries run per provider, listings per page and pages fetched per
+    // query, unless the provider sets maxQueries, pageSize and maxPages
+    this.defaultMaxQueries = 3;
+    this.defaultPageSize = 10;
+    this.defaultMaxPages = 1;
+
+    // Every normalized job must match this; jobs that don't are dropped
+    this.jobSchema = {
+      id: { type: 'string', required: true },
+      title: { type: 'string', required: true },
+      company: { type: 'string', required: true },
+      location: { type: 'object', required: true },
+      description: { type: 'string' },
+      url: { type: 'string', required: true },
+      salary: { type: 'object' },
+      posted: { type: 'string' },
+      source: { type: 'string', required: true }
+    };
+
+    this.providers = this.load();
+  }
+
+  /**
+   * Load every provider module in the providers directory, skipping ones
+   * that don't implement the provider interface
+   */
+  load() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .map(file => ({ file, provider: require(path.join(this.directory, file)) }))
+      .filter(({ file, provider }) => {
+        const errors = this.checkProvider(provider);
+        if (errors.length > 0) {
+          console.error(`Job provider ${file} was not loaded:\n  ${errors.join('\n  ')}`);
+          return false;
+        }
+        return true;
+      })
+      .map(({ provider }) => provider);
+  }
+
+  /**
+   * Problems with a provider module's declarations
+   */
+  checkProvider(provider) {
+    const errors = [];
+
+    if (typeof provider.name !== 'string' || !provider.name) errors.push('name: must be a non-empty string');
+    if (!provider.config || typeof provider.config !== 'object' ||
+      !Object.values(provider.config).every(envVar => typeof envVar === 'string')) {
+      errors.push('config: must map setting names to environment variable names');
+    }
+    if (!Array.isArray(provider.filters) || !provider.filters.every(filter => this.filters.includes(filter))) {
+      errors.push(`filters: must be a list of ${this.filters.join(', ')}`);
+    }
+    for (const method of ['search', 'normalize']) {
+      if (typeof provider[method] !== 'function') errors.push(`${method}: must be a function`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * A provider's settings read from the environment
+   * @returns {Object} { values, missing } - missing lists unset environment variables
+   */
+  configOf(provider) {
+    const values = {};
+    const missing = [];
+
+    for (const [setting, envVar] of Object.entries(provider.config)) {
+      if (process.env[envVar]) {
+        values[setting] = process.env[envVar];
+      } else {
+        missing.push(envVar);
+      }
+    }
+
+    return { values, missing };
+  }
+
+  /**
+   * Providers whose required settings are all configured, or that have a
+   * fixture file when replaying fixtures
+   */
+  enabled() {
+    return this.providers.filter(provider => this.isEnabled(provider));
+  }
+
+  isEnabled(provider) {
+    return jobFixtures.replaying() ? jobFixtures.has(provider) : this.configOf(provider).missing.length === 0;
+  }
+
+  /**
+   * Summary of every provider, with its circuit and quota state, for the
+   * providers listing
+   */
+  list() {
+    const { circuits, quotas } = httpClient.status();
+
+    return this.providers.map(provider => {
+      const { missing } = this.configOf(provider);
+      return {
+        name: provider.name,
+        enabled: this.isEnabled(provider),
+        missingConfig: missing,
+        filters: provider.filters,
+        circuit: circuits[provider.name] || { state: 'closed', failures: 0, retryAt: null },
+        quotas: quotas.filter(quota => quota.service === provider.name)
+      };
+    });
+  }
+
+  /**
+   * Whether a provider's API can apply a search filter
+   */
+  supports(provider, filter) {
+    return provider.filters.includes(filter);
+  }
+
+  /**
+   * How many queries a provider runs per search
+   */
+  maxQueriesOf(provider) {
+    return provider.maxQueries || this.defaultMaxQueries;
+  }
+
+  pageSizeOf(provider) {
+    return provider.pageSize || this.defaultPageSize;
+  }
+
+  maxPagesOf(provider) {
+    return provider.maxPages || this.defaultMaxPages;
+  }
+
+  /**
+   * Fetch one page of a provider's queries in parallel and normalize the
+   * listings. A failed query is logged and the other queries' jobs are
+   * still returned.
+   * @returns {Object} { jobs, pages } - jobs matching the job schema, and per
+   * query { query, page, listings, jobs, error } counts
+   */
+  async run(provider, queries, region, page = 1) {
+    if (provider.supportsRegion && !provider.supportsRegion(region)) {
+      console.log(`${provider.name} has no jobs endpoint for ${region.country}, skipping`);
+      return { jobs: [], pages: [] };
+    }
+
+    const config = this.configOf(provider).values;
+    const queriesToRun = queries.slice(0, this.maxQueriesOf(provider)); // Limit API calls
+    // A provider whose circuit is open can still answer from the cache
+    const results = await Promise.allSettled(queriesToRun.map(query => this.fetch(provider, query, region, config, page)));
+    const jobs = [];
+    const pages = [];
+    let dropped = 0;
+    let otherArrangement = 0;
+
+    results.forEach((result, index) => {
+      const counts = { query: queriesToRun[index], page, listings: 0, jobs: 0, error: null };
+      pages.push(counts);
+
+      if (result.status === 'rejected') {
+        console.error(`${provider.name} query "${queriesToRun[index].text}" page ${page} failed:`, result.reason.message);
+        counts.error = result.reason.message;
+        return;
+      }
+
+      counts.listings = result.value.length;
+      for (const listing of result.value) {
+        const job = this.normalizeListing(provider, listing, region);
+        if (!job || this.validate(job).length > 0) {
+          dropped++;
+        } else if (!this.matchesArrangement(job, region)) {
+          otherArrangement++;
+        } else {
+          jobs.push(job);
+          counts.jobs++;
+        }
+      }
+    });
+
+    if (dropped > 0) {
+      console.log(`${provider.name}: dropped ${dropped} malformed listing(s) or ones missing required fields`);
+    }
+    if (otherArrangement > 0) {
+      console.log(`${provider.name}: dropped ${otherArrangement} listing(s) that are not ${region.arrangement}`);
+    }
+
+    return { jobs, pages };
+  }
+
+  /**
+   * A provider's listing in the job schema, or null when the listing is too
+   * malformed to normalize
+   */
+  normalizeListing(provider, listing, region) {
+    let normalized;
+    try {
+      normalized = provider.normalize(listing, region);
+    } catch (error) {
+      return null;
+    }
+    if (!normalized) return null;
+
+    const job = { ...normalized, location: this.normalizeLocation(normalized.location, region), source: provider.name };
+    if (typeof job.description === 'string') {
+      job.description = descriptionProcessor.toText(job.description);
+    }
+    job.posted = postingDates.parse(job.posted);
+    return job;
+  }
+
+  /**
+   * A page of a query's raw listings, replayed from fixtures or else from
+   * the cache or the provider's API (and recorded when recording fixtures)
+   * @param {Object} planned - { text, include, exclude } from the query planner
+   */
+  async fetch(provider, planned, region, config, page = 1) {
+    const keywords = this.supports(provider, 'keywords');
+    const query = { text: planned.text, include: keywords ? planned.include || [] : [], exclude: keywords ? planned.exclude || [] : [] };
+    const { countryCode, city, region: state, radius, arrangement, postedWithin } = region;
+    const filters = {
+      country: countryCode,
+      city,
+      region: state,
+      radius,
+      arrangement,
+      postedWithin,
+      include: query.include.length > 0 ? query.include : undefined,
+      exclude: query.exclude.length > 0 ? query.exclude : undefined
+    };
+
+    if (jobFixtures.replaying()) return jobFixtures.replay(provider, query.text, filters, page);
+
+    const listings = await searchCache.get(
+      // First pages keep the keys they had before paging
+      searchCache.keyOf(provider.name, query.text, { ...filters, page: page > 1 ? page : undefined }),
+      () => provider.search(query, region, config, page),
+      provider.cacheTtl
+    );
+    if (jobFixtures.recording()) await jobFixtures.record(provider, query.text, filters, page, listings);
+    return listings;
+  }
+
+  /**
+   * Location object for a job from the board's text or partial details
+   * @param {string|Object} location - Text, or { text, city, region, countryCode, isRemote }
+   * @returns {Object} { city, region, country, countryCode, isRemote, text }
+   */
+  normalizeLocation(location, region) {
+    const details = location && typeof location === 'object' ? location : { text: location };
+    const parsed = contactExtractor.parseJobLocation(details.text, {
+      countryCode: details.countryCode || region.countryCode,
+      isRemote: details.isRemote
+    });
+
+    return {
+      ...parsed,
+      city: details.city || parsed.city,
+      // Boards give states by name or code; keep the code, as resumes do
+      region: (details.region && (contactExtractor.regionCode(details.region) || details.region)) || parsed.region
+    };
+  }
+
+  /**
+   * Whether a job fits the search's work arrangement. Most boards can't
+   * filter by arrangement, so remote and on-site searches are checked here;
+   * hybrid searches keep every job near the search location.
+   */
+  matchesArrangement(job, region) {
+    if (region.arrangement === 'remote') return job.location.isRemote;
+    if (region.arrangement === 'onsite') return !job.location.isRemote;
+    return true;
+  }
+
+  /**
+   * Check a normalized job against the job schema
+   * @returns {Array} "field: problem" messages, empty when the job is valid
+   */
+  validate(job) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(this.jobSchema)) {
+      const value = job[field];
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) errors.push(`${field}: is required`);
+      } else if (typeof value !== rule.type) {
+        errors.push(`${field}: expected ${rule.type}`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new JobProviders();
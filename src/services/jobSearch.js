@@ -1,326 +1,261 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const contactExtractor = require('./contactExtractor');
+const roleTaxonomy = require('./roleTaxonomy');
+const jobProviders = require('./jobProviders');
+const jobDeduplicator = require('./jobDeduplicator');
+const queryPlanner = require('./queryPlanner');
+const jobMatcher = require('./jobMatcher');
+const salaryParser = require('./salaryParser');
+const postingDates = require('./postingDates');
 
 /**
  * Job Search Service
- * Integrates with job board APIs to fetch real job listings
+ * Runs the planned queries against the job providers
  * Falls back to mock data when APIs are not configured
  */
 
 class JobSearchService {
   constructor() {
-    this.adzunaAppId = process.env.ADZUNA_APP_ID;
-    this.adzunaAppKey = process.env.ADZUNA_APP_KEY;
-    this.jsearchApiKey = process.env.JSEARCH_API_KEY;
-    this.linkedinScraperApiKey = process.env.LINKEDIN_SCRAPER_API_KEY;
+    // Searched when the resume gives no location
+    this.defaultCountry = 'us';
+
+    // Work arrangements a search can ask for
+    this.arrangements = ['any', 'remote', 'hybrid', 'onsite'];
+
+    // Search radius choices and the largest radius accepted, in km
+    this.radiusOptions = [10, 25, 50, 100];
+    this.maxRadius = 200;
+
+    // "Posted within" choices and the longest accepted, in days
+    this.postedWithinOptions = [1, 3, 7, 14, 30];
+    this.maxPostedWithin = 90;
+
+    // Listings fetched per search across providers and pages, and the
+    // recommended matches after which no further pages are fetched
+    this.resultBudget = this.count(process.env.SEARCH_RESULT_BUDGET, 200);
+    this.enoughMatches = this.count(process.env.SEARCH_ENOUGH_MATCHES, 20);
+  }
+
+  count(value, fallback) {
+    const number = Number.parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
   }
 
   /**
-   * Search for jobs based on resume data
+   * Search for jobs based on resume data, fetching further pages while the
+   * result budget lasts and there are too few strong matches
+   * @param {Object} resumeData - Reviewed profile
+   * @param {Object} region - From getSearchRegion
+   * @param {Object} preferences - Target titles and keywords, from queryPlanner.preferencesOf
+   * @returns {Object} { jobs, report } - report has the listings each provider and page contributed
    */
-  async searchJobs(resumeData) {
-    const searchQueries = this.buildSearchQueries(resumeData);
+  async searchJobs(resumeData, region = this.getSearchRegion(resumeData), preferences = {}) {
+    const searchQueries = queryPlanner.plan(resumeData, preferences);
+    console.log('Search region:', this.describeRegion(region));
+    const report = { budget: this.resultBudget, listings: 0, stoppedEarly: false, mock: false, pages: [] };
     let allJobs = [];
 
-    // Build array of API calls to run in parallel
-    const apiCalls = [];
+    // Run every configured provider in parallel
+    const providers = jobProviders.enabled();
 
-    if (this.linkedinScraperApiKey) {
-      apiCalls.push({
-        name: 'LinkedIn',
-        promise: this.searchLinkedIn(searchQueries)
-      });
-    }
+    if (providers.length > 0) {
+      console.log(`Running ${providers.length} API(s) in parallel: ${providers.map(p => p.name).join(', ')}`);
+      const startTime = Date.now();
 
-    if (this.jsearchApiKey) {
-      apiCalls.push({
-        name: 'JSearch',
-        promise: this.searchJSearch(searchQueries)
-      });
-    }
+      const assigned = queryPlanner.distribute(searchQueries, providers.map(provider => jobProviders.maxQueriesOf(provider)));
+      // Queries that may have another page, per provider
+      let open = providers.map((provider, index) => ({ provider, queries: assigned[index] }));
 
-    if (this.adzunaAppId && this.adzunaAppKey) {
-      apiCalls.push({
-        name: 'Adzuna',
-        promise: this.searchAdzuna(searchQueries)
-      });
-    }
+      for (let page = 1; open.length > 0; page++) {
+        const round = this.planRound(open, page, this.resultBudget - report.listings);
+        if (round.length === 0) break;
 
-    // Run all API calls in parallel
-    if (apiCalls.length > 0) {
-      console.log(`Running ${apiCalls.length} API(s) in parallel: ${apiCalls.map(a => a.name).join(', ')}`);
-      const startTime = Date.now();
+        const results = await Promise.allSettled(round.map(({ provider, queries }) => jobProviders.run(provider, queries, region, page)));
+        open = [];
+
+        results.forEach((result, index) => {
+          const { provider } = round[index];
+          if (result.status === 'rejected') {
+            console.error(`${provider.name} API error:`, result.reason?.message || result.reason);
+            return;
+          }
 
-      const results = await Promise.allSettled(apiCalls.map(api => api.promise));
+          const { jobs, pages } = result.value;
+          console.log(`${provider.name} page ${page}: ${jobs.length} jobs found`);
+          allJobs = [...allJobs, ...jobs];
+          pages.forEach(counts => {
+            report.listings += counts.listings;
+            report.pages.push({ ...counts, provider: provider.name, query: counts.query.text });
+          });
+
+          // A short page is the last one
+          const more = pages.filter(counts => counts.listings >= jobProviders.pageSizeOf(provider)).map(counts => counts.query);
+          if (more.length > 0) open.push({ provider, queries: more });
+        });
 
-      results.forEach((result, index) => {
-        const apiName = apiCalls[index].name;
-        if (result.status === 'fulfilled') {
-          console.log(`${apiName}: ${result.value.length} jobs found`);
-          allJobs = [...allJobs, ...result.value];
-        } else {
-          console.error(`${apiName} API error:`, result.reason?.message || result.reason);
+        const strong = open.length > 0 ? this.strongMatches(resumeData, allJobs, region, preferences) : 0;
+        if (strong >= this.enoughMatches) {
+          console.log(`Stopping after page ${page}: ${strong} strong matches`);
+          report.stoppedEarly = true;
+          break;
         }
-      });
+      }
 
-      console.log(`Parallel API calls completed in ${Date.now() - startTime}ms`);
+      console.log(`Parallel API calls completed in ${Date.now() - startTime}ms (${report.listings} of ${report.budget} listings budgeted)`);
     }
 
     // Fall back to mock data if no API results
     if (allJobs.length === 0) {
-      console.log('Using mock job data (no API keys configured)');
-      allJobs = this.getMockJobs(resumeData);
+      console.log('Using mock job data (no API results)');
+      allJobs = this.getMockJobs(resumeData, region).slice(0, this.resultBudget);
+      report.mock = true;
+      report.listings = allJobs.length;
+    }
+
+    // Boards match keywords loosely, or not at all
+    const matching = allJobs.filter(job => queryPlanner.matches(job, preferences));
+    if (matching.length < allJobs.length) {
+      console.log(`Dropped ${allJobs.length - matching.length} job(s) without the must-have or with excluded keywords`);
     }
 
-    // Remove duplicates based on title + company
-    const uniqueJobs = this.deduplicateJobs(allJobs);
+    // Not every board filters by date, and JSearch's ranges are coarse
+    const wanted = matching.filter(job => postingDates.within(job.posted, region.postedWithin));
+    if (wanted.length < matching.length) {
+      console.log(`Dropped ${matching.length - wanted.length} job(s) posted more than ${region.postedWithin} days ago`);
+    }
 
-    return uniqueJobs;
+    // Merge listings of the same opening from different sources
+    return { jobs: jobDeduplicator.deduplicate(wanted), report: this.summarize(report) };
   }
 
   /**
-   * Build search queries based on resume analysis
+   * Requests for one page: queries are taken in rank order across the
+   * providers while a full page of each still fits in the budget
+   * @returns {Array} [{ provider, queries }]
    */
-  buildSearchQueries(resumeData) {
-    const queries = [];
-    const seniorityPrefix = this.getSeniorityPrefix(resumeData.seniorityLevel);
-    const primaryTitle = resumeData.primaryRole?.title || '';
-
-    // Primary role search - always include the actual title
-    if (primaryTitle) {
-      queries.push(primaryTitle);
-      queries.push(`${seniorityPrefix} ${primaryTitle}`.trim());
+  planRound(open, page, budget) {
+    const round = open
+      .filter(({ provider }) => page <= jobProviders.maxPagesOf(provider))
+      .map(({ provider, queries }) => ({ provider, queries, chosen: [] }));
+    let left = budget;
+
+    for (let rank = 0; round.some(entry => rank < entry.queries.length); rank++) {
+      for (const entry of round) {
+        const size = jobProviders.pageSizeOf(entry.provider);
+        if (rank < entry.queries.length && size <= left) {
+          entry.chosen.push(entry.queries[rank]);
+          left -= size;
+        }
+      }
     }
 
-    // Add role variations based on type
-    if (resumeData.primaryRole?.type) {
-      const roleKeywords = {
-        'Engineering': ['Software Engineer', 'Developer', 'Full Stack Engineer'],
-        'Product': ['Product Manager', 'Program Manager', 'Product Owner'],
-        'Design': ['Product Designer', 'UX Designer', 'UI Designer'],
-        'Data': ['Data Scientist', 'Data Analyst', 'Data Engineer', 'Business Analyst', 'Analyst'],
-        'Management': ['Engineering Manager', 'Technical Lead', 'Team Lead']
-      };
-
-      const keywords = roleKeywords[resumeData.primaryRole.type] || [];
-      keywords.forEach(keyword => {
-        queries.push(`${seniorityPrefix} ${keyword}`.trim());
-      });
-    }
+    return round
+      .filter(entry => entry.chosen.length > 0)
+      .map(({ provider, chosen }) => ({ provider, queries: chosen }));
+  }
 
-    // If primary title contains common role words, add variations
-    const titleLower = primaryTitle.toLowerCase();
-    if (titleLower.includes('analyst')) {
-      queries.push('Analyst');
-      queries.push('Business Analyst');
-      queries.push('Data Analyst');
-      queries.push(`${seniorityPrefix} Analyst`.trim());
-    }
+  /**
+   * Recommended matches among the jobs found so far
+   */
+  strongMatches(resumeData, jobs, region, preferences) {
+    const wanted = jobDeduplicator.deduplicate(jobs.filter(job => queryPlanner.matches(job, preferences) &&
+      postingDates.within(job.posted, region.postedWithin)));
+    return jobMatcher.matchJobs(resumeData, wanted).recommended.length;
+  }
 
-    // Add skill-based queries only if we have skills
-    const topSkills = resumeData.skills.technical.slice(0, 2);
-    if (topSkills.length > 0 && primaryTitle) {
-      topSkills.forEach(skill => {
-        queries.push(`${skill} ${primaryTitle}`);
-      });
+  /**
+   * Search report with per-provider totals
+   */
+  summarize(report) {
+    const providers = {};
+
+    for (const counts of report.pages) {
+      const totals = providers[counts.provider] || { listings: 0, jobs: 0, requests: 0, pages: 0, errors: 0 };
+      totals.listings += counts.listings;
+      totals.jobs += counts.jobs;
+      totals.requests++;
+      totals.pages = Math.max(totals.pages, counts.page);
+      if (counts.error) totals.errors++;
+      providers[counts.provider] = totals;
     }
 
-    const finalQueries = [...new Set(queries)].slice(0, 5);
-    console.log('Search queries:', finalQueries);
-    return finalQueries;
+    return { ...report, providers };
   }
 
   /**
-   * Get seniority prefix for job search
+   * Where and how to search: the location, radius, work arrangement and
+   * posting age chosen on the upload or review page, else the resume's
+   * location and work preference, else the default country
+   * @param {Object} resumeData - Parsed profile
+   * @param {Object} search - { location, radius, arrangement, postedWithin } as submitted
+   * @returns {Object} { countryCode, country, city, region, radius, arrangement, postedWithin }
    */
-  getSeniorityPrefix(level) {
-    const prefixes = {
-      'entry': 'Junior',
-      'mid': '',
-      'senior': 'Senior',
-      'manager': 'Lead'
+  getSearchRegion(resumeData, search = {}) {
+    const resumeLocation = resumeData.contact?.location;
+    const text = (search.location || '').trim();
+    const location = text
+      ? contactExtractor.parseJobLocation(text, { countryCode: resumeLocation?.countryCode || this.defaultCountry })
+      : resumeLocation;
+    const country = contactExtractor.getCountry(location?.countryCode) ||
+      contactExtractor.getCountry(this.defaultCountry);
+    const radius = Number.parseInt(search.radius, 10);
+    const postedWithin = Number.parseInt(search.postedWithin, 10);
+
+    return {
+      countryCode: country.code,
+      country: country.name,
+      city: location?.city || null,
+      region: location?.region || null,
+      // A radius only applies around a city
+      radius: location?.city && radius > 0 ? Math.min(radius, this.maxRadius) : null,
+      arrangement: this.arrangements.includes(search.arrangement) ? search.arrangement : this.preferredArrangement(resumeData),
+      postedWithin: postedWithin > 0 ? Math.min(postedWithin, this.maxPostedWithin) : null
     };
-    return prefixes[level] || '';
   }
 
   /**
-   * Search using LinkedIn Job Search API (RapidAPI)
-   * https://rapidapi.com/fantastic-jobs-fantastic-jobs-default/api/linkedin-job-search-api
+   * The one work arrangement the resume asks for, or 'any'
    */
-  async searchLinkedIn(queries) {
-    const jobs = [];
-
-    for (const query of queries.slice(0, 3)) { // Limit API calls
-      try {
-        const response = await axios.get('https://linkedin-job-search-api.p.rapidapi.com/active-jb-7d', {
-          params: {
-            title_filter: `"${query}"`,
-            location_filter: 'United States',
-            limit: 20
-          },
-          headers: {
-            'X-RapidAPI-Key': this.linkedinScraperApiKey,
-            'X-RapidAPI-Host': 'linkedin-job-search-api.p.rapidapi.com'
-          }
-        });
-
-        if (response.data && Array.isArray(response.data)) {
-          const formattedJobs = response.data.map(job => ({
-            id: job.id || job.job_id || `linkedin-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            title: job.title || job.job_title || 'Job Title',
-            company: job.organization || job.company_name || job.company || 'Company',
-            location: job.location || job.job_location || 'Remote',
-            description: job.description || job.job_description || '',
-            url: job.linkedin_url || job.url || job.apply_url || '#',
-            salary: job.salary || job.compensation || null,
-            posted: job.posted_time || job.date_posted || new Date().toISOString(),
-            source: 'LinkedIn'
-          }));
-          jobs.push(...formattedJobs);
-        }
-      } catch (error) {
-        console.error(`LinkedIn query "${query}" failed:`, error.message);
-      }
-    }
-
-    return jobs;
+  preferredArrangement(resumeData) {
+    const arrangements = resumeData.contact?.workPreference?.arrangements || [];
+    return arrangements.length === 1 ? arrangements[0] : 'any';
   }
 
   /**
-   * Search using JSearch API (RapidAPI)
+   * Search location as the review page's location field shows it
    */
-  async searchJSearch(queries) {
-    const jobs = [];
-
-    for (const query of queries.slice(0, 3)) { // Limit API calls
-      try {
-        const response = await axios.get('https://jsearch.p.rapidapi.com/search', {
-          params: {
-            query: query,
-            page: '1',
-            num_pages: '1'
-          },
-          headers: {
-            'X-RapidAPI-Key': this.jsearchApiKey,
-            'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
-          }
-        });
-
-        if (response.data?.data) {
-          const formattedJobs = response.data.data.map(job => ({
-            id: job.job_id,
-            title: job.job_title,
-            company: job.employer_name,
-            location: job.job_city ? `${job.job_city}, ${job.job_state}` : job.job_country,
-            description: job.job_description,
-            url: job.job_apply_link || job.job_google_link,
-            salary: job.job_min_salary ? `$${job.job_min_salary.toLocaleString()} - $${job.job_max_salary?.toLocaleString() || 'N/A'}` : null,
-            posted: job.job_posted_at_datetime_utc,
-            source: 'JSearch'
-          }));
-          jobs.push(...formattedJobs);
-        }
-      } catch (error) {
-        console.error(`JSearch query "${query}" failed:`, error.message);
-      }
-    }
-
-    return jobs;
+  placeOf(region) {
+    return [region.city, region.region, region.country].filter(Boolean).join(', ');
   }
 
   /**
-   * Search using Adzuna API
+   * One-line summary of a search region, e.g. "Austin, TX, United States
+   * within 25 km, remote only, posted in the last 7 days"
    */
-  async searchAdzuna(queries) {
-    const jobs = [];
-
-    for (const query of queries.slice(0, 3)) {
-      try {
-        const response = await axios.get(
-          `https://api.adzuna.com/v1/api/jobs/us/search/1`,
-          {
-            params: {
-              app_id: this.adzunaAppId,
-              app_key: this.adzunaAppKey,
-              what: query,
-              results_per_page: 10
-            }
-          }
-        );
-
-        if (response.data?.results) {
-          const formattedJobs = response.data.results.map(job => ({
-            id: job.id,
-            title: job.title,
-            company: job.company?.display_name || 'Company',
-            location: job.location?.display_name || 'Remote',
-            description: job.description,
-            url: job.redirect_url,
-            salary: job.salary_min ? `$${job.salary_min.toLocaleString()} - $${job.salary_max?.toLocaleString() || 'N/A'}` : null,
-            posted: job.created,
-            source: 'Adzuna'
-          }));
-          jobs.push(...formattedJobs);
-        }
-      } catch (error) {
-        console.error(`Adzuna query "${query}" failed:`, error.message);
-      }
-    }
-
-    return jobs;
+  describeRegion(region) {
+    const arrangements = { remote: 'remote only', hybrid: 'hybrid', onsite: 'on-site only' };
+    return [
+      `${this.placeOf(region)}${region.radius ? ` within ${region.radius} km` : ''}`,
+      arrangements[region.arrangement],
+      region.postedWithin && `posted in the last ${region.postedWithin === 1 ? 'day' : `${region.postedWithin} days`}`
+    ].filter(Boolean).join(', ');
   }
 
   /**
    * Generate realistic mock job data based on resume
+   * The same seed gives the same jobs; posted dates count back from today.
+   * Resumes outside every role family with templates get none, rather than
+   * another family's jobs.
+   * @param {number} seed - Defaults to MOCK_JOBS_SEED, else a hash of the resume and region
    */
-  getMockJobs(resumeData) {
-    const primaryType = resumeData.primaryRole?.type || 'Engineering';
-    const seniorityLevel = resumeData.seniorityLevel || 'mid';
+  getMockJobs(resumeData, region = this.getSearchRegion(resumeData), seed = this.mockSeed(resumeData, region)) {
+    const random = this.seededRandom(seed);
+    // Job templates from the candidate's role family (pack families may have none)
+    const family = roleTaxonomy.get(resumeData.primaryRole?.type);
+    if (!family || family.mockJobs.length === 0) return [];
 
-    // Job templates by role type
-    const jobTemplates = {
-      'Engineering': [
-        { title: 'Software Engineer', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Apple', 'Netflix', 'Stripe', 'Airbnb'] },
-        { title: 'Senior Software Engineer', companies: ['Uber', 'Lyft', 'DoorDash', 'Instacart', 'Coinbase', 'Robinhood'] },
-        { title: 'Full Stack Engineer', companies: ['Shopify', 'Square', 'Twilio', 'Datadog', 'MongoDB', 'Elastic'] },
-        { title: 'Frontend Engineer', companies: ['Figma', 'Notion', 'Canva', 'Webflow', 'Vercel', 'Linear'] },
-        { title: 'Backend Engineer', companies: ['Plaid', 'Ramp', 'Brex', 'Scale AI', 'Anthropic', 'OpenAI'] },
-        { title: 'Junior Software Engineer', companies: ['Atlassian', 'Asana', 'Monday.com', 'Airtable', 'Retool'] },
-        { title: 'Staff Engineer', companies: ['Google', 'Meta', 'Amazon', 'Stripe', 'Databricks'] }
-      ],
-      'Product': [
-        { title: 'Product Manager', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Salesforce', 'Adobe'] },
-        { title: 'Senior Product Manager', companies: ['Uber', 'Airbnb', 'DoorDash', 'Instacart', 'Coinbase'] },
-        { title: 'Associate Product Manager', companies: ['Google', 'Meta', 'Microsoft', 'LinkedIn', 'Twitter'] },
-        { title: 'Technical Program Manager', companies: ['Amazon', 'Google', 'Apple', 'Meta', 'Netflix'] },
-        { title: 'Product Owner', companies: ['Spotify', 'Slack', 'Zoom', 'DocuSign', 'ServiceNow'] },
-        { title: 'Group Product Manager', companies: ['Stripe', 'Square', 'Plaid', 'Brex', 'Ramp'] }
-      ],
-      'Design': [
-        { title: 'Product Designer', companies: ['Apple', 'Google', 'Airbnb', 'Figma', 'Notion', 'Linear'] },
-        { title: 'Senior Product Designer', companies: ['Meta', 'Stripe', 'Square', 'Coinbase', 'Robinhood'] },
-        { title: 'UX Designer', companies: ['Microsoft', 'Amazon', 'Salesforce', 'Adobe', 'Intuit'] },
-        { title: 'UI Designer', companies: ['Canva', 'Webflow', 'Framer', 'InVision', 'Sketch'] },
-        { title: 'Design Lead', companies: ['Uber', 'Lyft', 'DoorDash', 'Instacart', 'Pinterest'] },
-        { title: 'Junior Product Designer', companies: ['Spotify', 'Slack', 'Dropbox', 'Asana', 'Notion'] }
-      ],
-      'Data': [
-        { title: 'Data Scientist', companies: ['Google', 'Meta', 'Amazon', 'Netflix', 'Spotify', 'Uber'] },
-        { title: 'Senior Data Scientist', companies: ['Airbnb', 'Lyft', 'DoorDash', 'Instacart', 'Coinbase'] },
-        { title: 'Data Analyst', companies: ['Microsoft', 'Salesforce', 'Adobe', 'Intuit', 'ServiceNow'] },
-        { title: 'Machine Learning Engineer', companies: ['OpenAI', 'Anthropic', 'DeepMind', 'Scale AI', 'Databricks'] },
-        { title: 'Data Engineer', companies: ['Snowflake', 'Databricks', 'dbt Labs', 'Fivetran', 'Airbyte'] },
-        { title: 'Analytics Engineer', companies: ['Stripe', 'Square', 'Plaid', 'Brex', 'Ramp'] }
-      ],
-      'Management': [
-        { title: 'Engineering Manager', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Apple'] },
-        { title: 'Senior Engineering Manager', companies: ['Uber', 'Airbnb', 'Stripe', 'Square', 'Coinbase'] },
-        { title: 'Technical Lead', companies: ['Netflix', 'Spotify', 'Slack', 'Dropbox', 'Notion'] },
-        { title: 'Director of Engineering', companies: ['DoorDash', 'Instacart', 'Lyft', 'Robinhood', 'Plaid'] },
-        { title: 'VP of Engineering', companies: ['Stripe', 'Databricks', 'Figma', 'Notion', 'Linear'] }
-      ]
-    };
-
-    const templates = jobTemplates[primaryType] || jobTemplates['Engineering'];
+    const seniorityLevel = resumeData.seniorityLevel || 'mid';
+    const templates = family.mockJobs;
     const jobs = [];
 
     // Generate jobs based on templates
@@ -328,24 +263,58 @@ class JobSearchService {
       template.companies.forEach(company => {
         // Add some variety with seniority levels
         const titles = this.getTitleVariations(template.title, seniorityLevel);
-        const selectedTitle = titles[Math.floor(Math.random() * titles.length)];
+        const selectedTitle = titles[Math.floor(random() * titles.length)];
 
         jobs.push({
-          id: `mock-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          id: `mock-${seed.toString(36)}-${jobs.length + 1}`,
           title: selectedTitle,
           company: company,
-          location: this.getRandomLocation(),
-          description: this.generateJobDescription(selectedTitle, company, resumeData.skills.technical),
+          location: contactExtractor.parseJobLocation(this.getRandomLocation(region, random), { countryCode: region.countryCode }),
+          description: this.generateJobDescription(selectedTitle, company, resumeData.skills.technical, family.responsibilities),
           url: `https://careers.${company.toLowerCase().replace(/\s+/g, '')}.com/jobs`,
-          salary: this.getRandomSalary(selectedTitle),
-          posted: this.getRandomDate(),
+          salary: this.getRandomSalary(selectedTitle, random),
+          posted: this.getRandomDate(random),
           source: 'JobAgent'
         });
       });
     });
 
-    // Shuffle and limit
-    return this.shuffleArray(jobs).slice(0, 30);
+    // searchJobs keeps as many as the result budget allows
+    return this.shuffleArray(jobs, random);
+  }
+
+  /**
+   * Seed for the mock jobs: MOCK_JOBS_SEED when set, else derived from the
+   * resume and search region so each resume always gets the same jobs
+   */
+  mockSeed(resumeData, region) {
+    const configured = Number.parseInt(process.env.MOCK_JOBS_SEED, 10);
+    if (Number.isFinite(configured)) return configured >>> 0;
+
+    const fingerprint = JSON.stringify([
+      resumeData.contact?.name,
+      resumeData.contact?.email,
+      resumeData.primaryRole?.title,
+      resumeData.seniorityLevel,
+      resumeData.skills?.technical,
+      region
+    ]);
+    return crypto.createHash('sha256').update(fingerprint).digest().readUInt32BE(0);
+  }
+
+  /**
+   * Random number generator (mulberry32) that repeats for a seed
+   * @returns {Function} Returns numbers in [0, 1) like Math.random
+   */
+  seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
   /**
@@ -354,9 +323,11 @@ class JobSearchService {
   getTitleVariations(baseTitle, seniorityLevel) {
     const variations = [baseTitle];
 
-    // Don't add variations if title already has seniority
+    // Don't add variations if title already has seniority, or is itself a
+    // rung above or below mid-level ("Sales Development Representative")
+    const rung = roleTaxonomy.ladderRung(baseTitle);
     if (baseTitle.includes('Senior') || baseTitle.includes('Junior') ||
-        baseTitle.includes('Lead') || baseTitle.includes('Staff')) {
+        baseTitle.includes('Lead') || baseTitle.includes('Staff') || (rung && rung.level !== 'mid')) {
       return variations;
     }
 
@@ -385,18 +356,7 @@ class JobSearchService {
   /**
    * Generate a realistic job description
    */
-  generateJobDescription(title, company, skills) {
-    const responsibilities = [
-      'Design and implement scalable solutions',
-      'Collaborate with cross-functional teams',
-      'Write clean, maintainable code',
-      'Participate in code reviews',
-      'Mentor junior team members',
-      'Drive technical decisions',
-      'Optimize application performance',
-      'Work with stakeholders to define requirements'
-    ];
-
+  generateJobDescription(title, company, skills, responsibilities) {
     const requirements = [
       `Experience with ${skills.slice(0, 3).join(', ') || 'modern technologies'}`,
       'Strong problem-solving skills',
@@ -409,28 +369,37 @@ class JobSearchService {
   }
 
   /**
-   * Get a random location
+   * Get a random location in the search region
    */
-  getRandomLocation() {
+  getRandomLocation(region, random = Math.random) {
+    const pick = options => options[Math.floor(random() * options.length)];
+    const remote = region.countryCode === 'us' ? pick(['Remote', 'Remote (US)']) : `Remote (${region.country})`;
+
+    if (region.arrangement === 'remote') return remote;
+
+    if (region.city || region.countryCode !== 'us') {
+      const place = region.city ? `${region.city}, ${region.region || region.country}` : region.country;
+      return region.arrangement === 'any' ? pick([place, remote]) : place;
+    }
+
     const locations = [
       'San Francisco, CA',
       'New York, NY',
       'Seattle, WA',
       'Austin, TX',
-      'Remote',
       'Los Angeles, CA',
       'Boston, MA',
       'Denver, CO',
-      'Chicago, IL',
-      'Remote (US)'
+      'Chicago, IL'
     ];
-    return locations[Math.floor(Math.random() * locations.length)];
+    return region.arrangement === 'any' ? pick([...locations, remote, remote]) : pick(locations);
   }
 
   /**
-   * Get random salary based on title
+   * Get random salary based on title. The figures are US market pay, so
+   * they stay in dollars whatever the search region.
    */
-  getRandomSalary(title) {
+  getRandomSalary(title, random = Math.random) {
     const titleLower = title.toLowerCase();
     let min, max;
 
@@ -446,44 +415,32 @@ class JobSearchService {
       min = 120000; max = 180000;
     }
 
-    const salary = Math.floor(Math.random() * (max - min) + min);
-    return `$${salary.toLocaleString()} - $${(salary + 30000).toLocaleString()}`;
+    const salary = Math.floor(random() * (max - min) + min);
+    return salaryParser.fromRange(salary, salary + 30000, { currency: 'USD', period: 'year' });
   }
 
   /**
-   * Get a random recent date
+   * Get a random recent date, at midnight UTC so it only changes by day
    */
-  getRandomDate() {
-    const daysAgo = Math.floor(Math.random() * 14);
+  getRandomDate(random = Math.random) {
+    const daysAgo = Math.floor(random() * 14);
     const date = new Date();
-    date.setDate(date.getDate() - daysAgo);
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCDate(date.getUTCDate() - daysAgo);
     return date.toISOString();
   }
 
   /**
    * Shuffle array
    */
-  shuffleArray(array) {
+  shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
-
-  /**
-   * Remove duplicate jobs
-   */
-  deduplicateJobs(jobs) {
-    const seen = new Set();
-    return jobs.filter(job => {
-      const key = `${job.title.toLowerCase()}-${job.company.toLowerCase()}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  }
 }
 
 module.exports = new JobSearchService();
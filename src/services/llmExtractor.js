@@ -0,0 +1,137 @@
+const axios = require('axios');
+
+/**
+ * LLM Resume Extractor
+ * Extraction strategy that asks an OpenAI-compatible chat completions endpoint
+ * for positions, skills, education and certifications as JSON matching a fixed schema.
+ * The response is validated here; the resume parser merges it over the
+ * rule-based result and falls back to the rules if anything fails.
+ *
+ * OPENAI_BASE_URL can point at any compatible server, including a local stub.
+ */
+
+class LlmExtractor {
+  constructor() {
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.timeout = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 30000;
+
+    // Resume text beyond this many characters is not sent
+    this.maxInputChars = 20000;
+
+    const nullableString = { type: ['string', 'null'] };
+    this.schema = {
+      type: 'object',
+      additionalProperties: false,
+      required: ['positions', 'skills', 'education', 'certifications'],
+      properties: {
+        positions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['title', 'company', 'location', 'startDate', 'endDate', 'current', 'bullets'],
+            properties: {
+              title: { type: 'string' },
+              company: nullableString,
+              location: nullableString,
+              startDate: { ...nullableString, description: 'YYYY-MM' },
+              endDate: { ...nullableString, description: 'YYYY-MM, or null when current' },
+              current: { type: 'boolean' },
+              bullets: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        skills: { type: 'array', items: { type: 'string' } },
+        education: { type: 'array', items: { type: 'string', description: 'One degree per entry: degree, field, institution, year' } },
+        certifications: { type: 'array', items: { type: 'string', description: 'One certification per entry: name, issuer, date' } }
+      }
+    };
+  }
+
+  /**
+   * Extract resume fields with the LLM
+   * @param {string} text - Resume text
+   * @returns {Promise<Object>} { positions, skills, education, certifications }
+   */
+  async extract(text) {
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      throw new Error('OPENAI_API_KEY is not configured');
+    }
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: 'You extract structured data from resumes. List every position held, newest first. ' +
+            'Use YYYY-MM for dates; if only a year is given use its month 01. ' +
+            'For the current role set current to true and endDate to null. ' +
+            'List skills by their common names. Do not invent anything that is not in the resume.'
+        },
+        { role: 'user', content: text.slice(0, this.maxInputChars) }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'resume', strict: true, schema: this.schema }
+      }
+    }, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('LLM response had no message content');
+    }
+
+    return this.validate(JSON.parse(content));
+  }
+
+  /**
+   * Check the LLM output against the schema and clean it up.
+   * Malformed entries are dropped rather than failing the whole extraction.
+   */
+  validate(payload) {
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.positions)) {
+      throw new Error('LLM response does not match the resume schema');
+    }
+
+    const now = new Date();
+    const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const isMonth = value => typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+    const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    const positions = payload.positions
+      .filter(p => p && text(p.title))
+      .map(p => {
+        const current = p.current === true;
+        const startDate = isMonth(p.startDate) ? p.startDate : null;
+        let endDate = isMonth(p.endDate) ? p.endDate : null;
+        if (current && startDate) endDate = currentMonth;
+
+        return {
+          title: text(p.title),
+          company: text(p.company),
+          location: text(p.location),
+          startDate: startDate && endDate && startDate <= endDate ? startDate : null,
+          endDate: startDate && endDate && startDate <= endDate ? endDate : null,
+          current,
+          bullets: Array.isArray(p.bullets) ? p.bullets.map(text).filter(Boolean) : []
+        };
+      });
+
+    const strings = list => (Array.isArray(list) ? list.map(text).filter(Boolean) : []);
+
+    return {
+      positions,
+      skills: strings(payload.skills),
+      education: strings(payload.education),
+      certifications: strings(payload.certifications)
+    };
+  }
+}
+
+module.exports = new LlmExtractor();
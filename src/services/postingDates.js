@@ -0,0 +1,132 @@
+/**
+ * Posting Dates Service
+ * Turns the posting dates job boards return (ISO timestamps, timestamps
+ * without a zone, Unix times or "3 days ago") into ISO timestamps. A date
+ * that can't be read is null, shown as unknown, never as today.
+ *
+ * Also ages postings for display ("3 days ago") and for ranking: a match
+ * loses up to FRESHNESS_MAX_PENALTY points as its posting ages, half of
+ * that after FRESHNESS_HALF_LIFE_DAYS.
+ */
+
+class PostingDates {
+  constructor() {
+    this.dayMs = 24 * 60 * 60 * 1000;
+
+    // Units of relative dates ("2 weeks ago"), in days
+    this.unitDays = { minute: 1 / 1440, min: 1 / 1440, hour: 1 / 24, hr: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+
+    // Unix times below this are in seconds, above it in milliseconds
+    this.maxUnixSeconds = 1e11;
+
+    // Dates this far in the future are clock skew; further ones are wrong
+    this.futureToleranceMs = this.dayMs;
+
+    this.halfLifeDays = this.number(process.env.FRESHNESS_HALF_LIFE_DAYS, 14);
+    this.maxPenalty = this.number(process.env.FRESHNESS_MAX_PENALTY, 10);
+  }
+
+  number(value, fallback) {
+    const number = Number.parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  }
+
+  /**
+   * ISO timestamp for a board's posting date
+   * @param {string|number|Date} value - What the API returned
+   * @param {Date} now - Relative dates count back from this
+   * @returns {string|null} null when the date is missing or unreadable
+   */
+  parse(value, now = new Date()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let time;
+    if (value instanceof Date) {
+      time = value.getTime();
+    } else if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+      const number = Number(value);
+      time = number < this.maxUnixSeconds ? number * 1000 : number;
+    } else {
+      const text = String(value).trim();
+      time = this.relative(text, now) ?? this.absolute(text);
+    }
+
+    if (!Number.isFinite(time) || time > now.getTime() + this.futureToleranceMs) return null;
+    return new Date(Math.min(time, now.getTime())).toISOString();
+  }
+
+  /**
+   * Time of a relative date ("3 days ago", "30+ days ago", "today"), or null
+   */
+  relative(text, now) {
+    const lower = text.toLowerCase();
+    if (/^(just (now|posted)|today|new|active today)$/.test(lower)) return now.getTime();
+    if (lower === 'yesterday') return now.getTime() - this.dayMs;
+
+    const match = lower.match(/^(?:posted\s+)?(an?|\d+)\+?\s*(minute|min|hour|hr|day|week|month|year)s?\s+ago$/);
+    if (!match) return null;
+
+    const count = /^an?$/.test(match[1]) ? 1 : Number(match[1]);
+    return now.getTime() - count * this.unitDays[match[2]] * this.dayMs;
+  }
+
+  /**
+   * Time of a calendar date or timestamp; ones without a zone are UTC
+   */
+  absolute(text) {
+    const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/);
+    if (local) return Date.parse(`${local[1]}T${local[2] || '00:00:00'}Z`);
+
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Whole days since a posting date, or null when unknown
+   */
+  ageInDays(posted, now = new Date()) {
+    const time = posted ? Date.parse(posted) : NaN;
+    return Number.isNaN(time) ? null : Math.max(0, Math.floor((now.getTime() - time) / this.dayMs));
+  }
+
+  /**
+   * Whether a job was posted in the last number of days. Jobs without a
+   * date are kept, as boards often leave it out.
+   */
+  within(posted, days, now = new Date()) {
+    const age = this.ageInDays(posted, now);
+    return !days || age === null || age <= days;
+  }
+
+  /**
+   * Points taken off a match for the posting's age. Postings without a
+   * date lose half the most, as if one half-life old.
+   * @returns {Object} { ageDays, adjustment } - ageDays is null when unknown
+   */
+  freshness(posted, now = new Date()) {
+    const ageDays = this.ageInDays(posted, now);
+    if (this.maxPenalty === 0 || this.halfLifeDays === 0) return { ageDays, adjustment: 0 };
+
+    const decay = Math.pow(0.5, (ageDays ?? this.halfLifeDays) / this.halfLifeDays);
+    return { ageDays, adjustment: -Math.round(this.maxPenalty * (1 - decay) * 10) / 10 };
+  }
+
+  /**
+   * Posting age for display: "today", "yesterday", "3 days ago",
+   * "2 weeks ago", "3 months ago", or null when unknown
+   */
+  formatAge(posted, now = new Date()) {
+    const days = this.ageInDays(posted, now);
+    if (days === null) return null;
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    if (days < 14) return plural(days, 'day');
+    if (days < 60) return plural(Math.floor(days / 7), 'week');
+    if (days < 365) return plural(Math.floor(days / 30), 'month');
+    return plural(Math.floor(days / 365), 'year');
+  }
+}
+
+module.exports = new PostingDates();
@@ -0,0 +1,172 @@
+const educationExtractor = require('./educationExtractor');
+
+/**
+ * Profile Export Service
+ * Converts a parsed resume into downloadable formats and back:
+ * - JagentProfile: the parsed profile as-is, so a corrected profile can be
+ *   uploaded again in place of a resume and skip parsing
+ * - JSON Resume (jsonresume.org schema) for use with other tools
+ */
+
+class ProfileExport {
+  constructor() {
+    this.format = 'jagent-profile';
+    this.version = 1;
+
+    // Parsed fields stored in a JagentProfile; rawText is left out on purpose
+    this.profileFields = [
+      'positions', 'timeline', 'experienceByRole', 'totalYearsExperience', 'skills',
+      'seniority', 'seniorityLevel', 'education', 'primaryRole', 'keywords'
+    ];
+
+    // Kept when present so a reviewed profile still shows how it was read
+    this.optionalFields = ['sections', 'extraction', 'diagnostics', 'contact', 'certifications'];
+
+    // JSON Resume skill groups, by taxonomy category
+    this.skillGroups = {
+      'language': 'Languages',
+      'framework': 'Frameworks & Libraries',
+      'database': 'Databases',
+      'cloud': 'Cloud & DevOps',
+      'tool': 'Tools',
+      'methodology': 'Methodologies',
+      'soft skill': 'Soft Skills'
+    };
+  }
+
+  /**
+   * Build a JagentProfile document from parsed resume data
+   */
+  toJagentProfile(resumeData) {
+    const profile = {};
+    for (const field of this.profileFields) {
+      profile[field] = resumeData[field];
+    }
+    for (const field of this.optionalFields) {
+      if (resumeData[field] !== undefined) profile[field] = resumeData[field];
+    }
+
+    return {
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      profile
+    };
+  }
+
+  /**
+   * Check whether parsed JSON is a JagentProfile document
+   */
+  isJagentProfile(json) {
+    return Boolean(json) && json.format === this.format;
+  }
+
+  /**
+   * Read a JagentProfile document back into resume data.
+   * Throws if the document is from an unknown version or is missing fields.
+   */
+  fromJagentProfile(json) {
+    if (json.version !== this.version) {
+      throw new Error(`Unsupported profile version: ${json.version}`);
+    }
+
+    const profile = json.profile || {};
+    const missing = this.profileFields.filter(field => profile[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Profile is missing fields: ${missing.join(', ')}`);
+    }
+
+    if (!Array.isArray(profile.positions) || profile.positions.some(p => !p || typeof p.title !== 'string')) {
+      throw new Error('Profile positions must each have a title');
+    }
+    if (!Array.isArray(profile.skills?.items)) {
+      throw new Error('Profile skills must include canonical skill items');
+    }
+    if (typeof profile.primaryRole?.title !== 'string') {
+      throw new Error('Profile must have a primary role');
+    }
+
+    return {
+      rawText: '',
+      extraction: { strategy: 'profile', fallback: false },
+      sections: {},
+      certifications: [],
+      ...profile,
+      // Profiles saved before education was structured hold plain strings
+      education: (Array.isArray(profile.education) ? profile.education : [])
+        .map(entry => (typeof entry === 'string' ? educationExtractor.parseEntry(entry) : entry))
+    };
+  }
+
+  /**
+   * Build a JSON Resume (jsonresume.org) document from parsed resume data
+   */
+  toJSONResume(resumeData) {
+    const skillsByGroup = {};
+    for (const skill of resumeData.skills?.items || []) {
+      const group = this.skillGroups[skill.category] || 'Other';
+      if (!skillsByGroup[group]) skillsByGroup[group] = [];
+      skillsByGroup[group].push(skill.name);
+    }
+
+    return {
+      $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+      basics: this.jsonResumeBasics(resumeData),
+      work: (resumeData.positions || []).map(position => this.removeEmpty({
+        name: position.company,
+        position: position.title,
+        location: position.location,
+        startDate: position.startDate,
+        endDate: position.current ? null : position.endDate,
+        highlights: position.bullets?.length ? position.bullets : null
+      })),
+      education: (resumeData.education || []).map(entry => this.removeEmpty({
+        institution: entry.institution,
+        area: entry.field,
+        studyType: entry.degree,
+        endDate: entry.year ? String(entry.year) : null
+      })),
+      certificates: (resumeData.certifications || []).map(cert => this.removeEmpty({
+        name: cert.name,
+        issuer: cert.issuer,
+        date: cert.date
+      })),
+      skills: Object.entries(skillsByGroup).map(([name, keywords]) => ({ name, keywords })),
+      meta: {
+        version: 'v1.0.0',
+        lastModified: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * JSON Resume `basics`: label, summary, location and profile links
+   */
+  jsonResumeBasics(resumeData) {
+    const { location, links } = resumeData.contact || {};
+    const profiles = [['LinkedIn', links?.linkedin], ['GitHub', links?.github]]
+      .filter(([, url]) => url)
+      .map(([network, url]) => ({ network, url }));
+
+    return this.removeEmpty({
+      label: resumeData.primaryRole?.title,
+      summary: resumeData.sections?.summary,
+      url: links?.portfolio,
+      location: location ? this.removeEmpty({
+        city: location.city,
+        region: location.region,
+        countryCode: location.countryCode.toUpperCase()
+      }) : null,
+      profiles: profiles.length ? profiles : null
+    });
+  }
+
+  /**
+   * Drop null and undefined values so exported entries stay schema-valid
+   */
+  removeEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+  }
+}
+
+module.exports = new ProfileExport();
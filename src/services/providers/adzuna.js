@@ -0,0 +1,94 @@
+const httpClient = require('../httpClient');
+const salaryParser = require('../salaryParser');
+
+/**
+ * Adzuna API
+ * https://developer.adzuna.com/
+ */
+
+class AdzunaProvider {
+  constructor() {
+    this.name = 'Adzuna';
+    this.config = { appId: 'ADZUNA_APP_ID', appKey: 'ADZUNA_APP_KEY' };
+    this.filters = ['location', 'date', 'salary', 'keywords'];
+    // Default access allows 250 requests a day per app
+    this.http = { timeout: 8000, quota: { limit: 250, windowMs: 24 * 60 * 60 * 1000 } };
+    // Every page is a request against that quota
+    this.pageSize = 20;
+    this.maxPages = 3;
+
+    // Countries with an Adzuna jobs endpoint
+    this.countries = ['at', 'au', 'be', 'br', 'ca', 'ch', 'de', 'es', 'fr', 'gb', 'in', 'it',
+      'mx', 'nl', 'nz', 'pl', 'sg', 'us', 'za'];
+  }
+
+  supportsRegion(region) {
+    return this.countries.includes(region.countryCode);
+  }
+
+  async search(query, region, config, page = 1) {
+    const response = await httpClient.get(
+      `https://api.adzuna.com/v1/api/jobs/${region.countryCode}/search/${page}`,
+      {
+        params: {
+          app_id: config.appId,
+          app_key: config.appKey,
+          what: query.text,
+          results_per_page: this.pageSize,
+          ...this.keywordParams(query),
+          ...this.locationParams(region),
+          ...(region.postedWithin ? { max_days_old: region.postedWithin } : {})
+        }
+      },
+      { service: this.name, key: config.appId, ...this.http }
+    );
+
+    return response.data?.results || [];
+  }
+
+  /**
+   * what_and requires every must-have word. what_exclude would also drop
+   * jobs that only mention an excluded word in the description, so excluded
+   * keywords are checked on titles after the search.
+   */
+  keywordParams(query) {
+    return query.include.length > 0 ? { what_and: query.include.join(' ') } : {};
+  }
+
+  /**
+   * The country is part of the endpoint; where and distance (km) narrow it
+   * to a city. Adzuna has no remote filter.
+   */
+  locationParams(region) {
+    if (!region.city || region.arrangement === 'remote') return {};
+
+    const params = { where: [region.city, region.region].filter(Boolean).join(', ') };
+    if (region.radius) params.distance = region.radius;
+    return params;
+  }
+
+  normalize(job, region) {
+    return {
+      id: job.id && String(job.id),
+      title: job.title,
+      company: job.company?.display_name,
+      // area runs from the country down, e.g. ["US", "Texas", "Travis County", "Austin"]
+      location: {
+        text: job.location?.display_name,
+        city: job.location?.area?.length > 2 ? job.location.area[job.location.area.length - 1] : null,
+        region: job.location?.area?.[1]
+      },
+      description: job.description || '',
+      url: job.redirect_url,
+      // Adzuna salaries are annual; predicted ones are Adzuna's own estimate
+      salary: salaryParser.fromRange(job.salary_min, job.salary_max, {
+        currency: salaryParser.currencyOf(region.countryCode),
+        period: 'year',
+        estimated: job.salary_is_predicted === '1' || job.salary_is_predicted === 1
+      }),
+      posted: job.created
+    };
+  }
+}
+
+module.exports = new AdzunaProvider();
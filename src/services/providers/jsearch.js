@@ -0,0 +1,88 @@
+const httpClient = require('../httpClient');
+const salaryParser = require('../salaryParser');
+
+/**
+ * JSearch API (RapidAPI)
+ * https://rapidapi.com/letscrape-6bRBa3QguO5/api/jsearch
+ */
+
+class JSearchProvider {
+  constructor() {
+    this.name = 'JSearch';
+    this.config = { apiKey: 'JSEARCH_API_KEY' };
+    this.filters = ['location', 'remote', 'date', 'keywords'];
+    // JSearch aggregates several boards per query and is often slow
+    this.http = { timeout: 15000 };
+    // JSearch pages hold 10 jobs
+    this.pageSize = 10;
+    this.maxPages = 5;
+  }
+
+  async search(query, region, config, page = 1) {
+    const response = await httpClient.get('https://jsearch.p.rapidapi.com/search', {
+      params: { ...this.params(query, region), page: String(page) },
+      headers: {
+        'X-RapidAPI-Key': config.apiKey,
+        'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
+      }
+    }, { service: this.name, key: config.apiKey, ...this.http });
+
+    return response.data?.data || [];
+  }
+
+  /**
+   * JSearch reads keywords and the city from the query text; radius is in
+   * km. Its "-word" exclusions also match descriptions, so excluded keywords
+   * are only checked on titles after the search.
+   */
+  params(query, region) {
+    const text = [query.text, ...query.include.map(keyword => (/\s/.test(keyword) ? `"${keyword}"` : keyword))].join(' ');
+    const params = { query: text, num_pages: '1', country: region.countryCode };
+
+    if (region.city && region.arrangement !== 'remote') {
+      params.query = `${text} in ${[region.city, region.region].filter(Boolean).join(', ')}`;
+      if (region.radius) params.radius = region.radius;
+    }
+    if (region.arrangement === 'remote') params.work_from_home = 'true';
+    if (region.postedWithin) params.date_posted = this.datePosted(region.postedWithin);
+
+    return params;
+  }
+
+  /**
+   * JSearch has fixed date ranges; the narrowest one covering the days asked
+   * for, the rest is checked after the search
+   */
+  datePosted(days) {
+    if (days <= 1) return 'today';
+    if (days <= 3) return '3days';
+    if (days <= 7) return 'week';
+    if (days <= 30) return 'month';
+    return 'all';
+  }
+
+  normalize(job, region) {
+    return {
+      id: job.job_id && String(job.job_id),
+      title: job.job_title,
+      company: job.employer_name,
+      location: {
+        text: job.job_city ? [job.job_city, job.job_state].filter(Boolean).join(', ')
+          : (job.job_is_remote ? `Remote (${job.job_country})` : job.job_country),
+        city: job.job_city,
+        region: job.job_state,
+        countryCode: job.job_country?.toLowerCase(),
+        isRemote: job.job_is_remote
+      },
+      description: job.job_description || '',
+      url: job.job_apply_link || job.job_google_link,
+      salary: salaryParser.fromRange(job.job_min_salary, job.job_max_salary, {
+        currency: job.job_salary_currency || salaryParser.currencyOf(region.countryCode),
+        period: job.job_salary_period
+      }),
+      posted: job.job_posted_at_datetime_utc || job.job_posted_at_timestamp
+    };
+  }
+}
+
+module.exports = new JSearchProvider();
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const httpClient = require('../httpClient');
+const salaryParser = require('../salaryParser');
+const contactExtractor = require('../contactExtractor');
+
+/**
+ * LinkedIn Job Search API (RapidAPI)
+ * https://rapidapi.com/fantastic-jobs-fantastic-jobs-default/api/linkedin-job-search-api
+ */
+
+class LinkedInProvider {
+  constructor() {
+    this.name = 'LinkedIn';
+    this.config = { apiKey: 'LINKEDIN_SCRAPER_API_KEY' };
+    // The active-jb-7d endpoint only returns jobs posted in the last week,
+    // active-jb-24h the last day
+    this.filters = ['location', 'remote', 'date', 'keywords'];
+    this.http = { timeout: 10000 };
+    this.pageSize = 20;
+    this.maxPages = 3;
+  }
+
+  async search(query, region, config, page = 1) {
+    const endpoint = region.postedWithin === 1 ? 'active-jb-24h' : 'active-jb-7d';
+    const response = await httpClient.get(`https://linkedin-job-search-api.p.rapidapi.com/${endpoint}`, {
+      params: { ...this.params(query, region), offset: (page - 1) * this.pageSize },
+      headers: {
+        'X-RapidAPI-Key': config.apiKey,
+        'X-RapidAPI-Host': 'linkedin-job-search-api.p.rapidapi.com'
+      }
+    }, { service: this.name, key: config.apiKey, ...this.http });
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  /**
+   * The API matches location_filter against full names ("Austin, Texas,
+   * United States") and has no radius; remote=false means on-site or hybrid
+   */
+  params(query, region) {
+    const params = { ...this.titleParams(query), location_filter: region.country, limit: this.pageSize };
+
+    if (region.city && region.arrangement !== 'remote') {
+      params.location_filter = [region.city, region.region && contactExtractor.regionName(region.region), region.country]
+        .filter(Boolean).join(', ');
+    }
+    if (region.arrangement === 'remote') params.remote = 'true';
+    if (region.arrangement === 'onsite') params.remote = 'false';
+
+    return params;
+  }
+
+  /**
+   * title_filter takes a quoted phrase. Excluded keywords need
+   * advanced_title_filter, which replaces it: 'Phrase' & !Word (tsquery
+   * syntax, matched against titles only). Must-have keywords are checked
+   * after the search, since they may be in the description.
+   */
+  titleParams(query) {
+    const phrase = text => `'${text.replace(/[^\w\s+#.-]/g, ' ').replace(/\s+/g, ' ').trim()}'`;
+
+    if (query.exclude.length === 0) return { title_filter: `"${query.text}"` };
+    return { advanced_title_filter: [phrase(query.text), ...query.exclude.map(keyword => `!${phrase(keyword)}`)].join(' & ') };
+  }
+
+  normalize(job, region) {
+    const title = job.title || job.job_title;
+    const company = job.organization || job.company_name || job.company;
+    const url = job.linkedin_url || job.url || job.apply_url;
+
+    return {
+      id: String(job.id || job.job_id || this.fallbackId(url, title, company)),
+      title,
+      company,
+      location: {
+        text: job.locations_derived?.[0] || job.location || job.job_location,
+        isRemote: job.remote_derived
+      },
+      description: job.description || job.job_description || '',
+      url,
+      // salary_raw is a schema.org MonetaryAmount; the others are text
+      salary: salaryParser.parse(job.salary_raw || job.salary || job.compensation, {
+        currency: salaryParser.currencyOf(region.countryCode)
+      }),
+      posted: job.date_posted || job.posted_time
+    };
+  }
+
+  /**
+   * ID for a listing without one, the same every time the listing is seen
+   */
+  fallbackId(url, title, company) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify([url, title, company])).digest('hex');
+    return `linkedin-${hash.slice(0, 16)}`;
+  }
+}
+
+module.exports = new LinkedInProvider();
@@ -0,0 +1,196 @@
+const roleTaxonomy = require('./roleTaxonomy');
+const jobDeduplicator = require('./jobDeduplicator');
+
+/**
+ * Query Planner Service
+ * Turns a profile and the user's search preferences into ranked job search
+ * queries. Candidates come from the user's target titles, the resume's
+ * titles, the role family's search titles and top skills; each gets a
+ * relevance score, variants of one title are kept once and the best ones
+ * are spread across the providers.
+ *
+ * Must-have and excluded keywords travel with every query so providers
+ * can put them in their own syntax, and are checked again on the results:
+ * a job must mention every must-have keyword in its title or description,
+ * and no excluded keyword in its title.
+ */
+
+class QueryPlanner {
+  constructor() {
+    // Below this confidence the detected seniority is not added to queries
+    this.minSeniorityConfidence = 0.5;
+
+    this.seniorityPrefixes = { entry: 'Junior', mid: '', senior: 'Senior', manager: 'Lead' };
+
+    // Words that already give a title a level, so no prefix is added
+    // ("Senior Staff Engineer", never "Senior Senior Engineer")
+    this.levelWords = ['intern', 'junior', 'associate', 'senior', 'staff', 'principal', 'lead', 'head',
+      'director', 'vice president', 'chief', 'ii', 'iii', 'iv'];
+
+    // Relevance of each kind of candidate, before adjustments
+    this.weights = {
+      target: 1,
+      resumeTitle: 0.9,
+      familyTitle: 0.75,
+      pastTitle: 0.65,
+      skillTitle: 0.55
+    };
+
+    // Queries kept after ranking, and the most preferences of each kind read
+    this.maxQueries = 6;
+    this.maxPreferences = 8;
+  }
+
+  /**
+   * Search preferences from the review form's comma-separated fields
+   * @param {Object} search - { titles, include, exclude } as submitted
+   * @returns {Object} { titles, include, exclude } as lists
+   */
+  preferencesOf(search = {}) {
+    const list = value => [...new Set(String(value || '').split(/[,;\n]/)
+      .map(item => item.replace(/\s+/g, ' ').trim())
+      .filter(Boolean))]
+      .slice(0, this.maxPreferences);
+
+    return { titles: list(search.titles), include: list(search.include), exclude: list(search.exclude) };
+  }
+
+  /**
+   * Ranked queries for a profile
+   * @param {Object} resumeData - Reviewed profile
+   * @param {Object} preferences - From preferencesOf
+   * @returns {Array} [{ text, score, reason, include, exclude }], best first
+   */
+  plan(resumeData, preferences = {}) {
+    const { titles = [], include = [], exclude = [] } = preferences;
+    const prefix = this.seniorityPrefix(resumeData.seniority);
+    const primaryTitle = resumeData.primaryRole?.title || '';
+    // The user's own titles come first; the rest are suggestions
+    const generated = titles.length > 0 ? 0.2 : 0;
+    const candidates = [];
+    const add = (text, score, reason) => candidates.push({ text: text.replace(/\s+/g, ' ').trim(), score, reason });
+
+    titles.forEach((title, index) => add(title, this.weights.target - index * 0.02, 'target title'));
+
+    const leveled = primaryTitle && this.withSeniority(primaryTitle, prefix);
+    if (primaryTitle) {
+      add(leveled, this.weights.resumeTitle - generated + 0.05, 'resume title');
+      if (leveled !== primaryTitle) add(primaryTitle, this.weights.resumeTitle - generated - 0.05, 'resume title');
+    }
+
+    const searchTitles = roleTaxonomy.get(resumeData.primaryRole?.type)?.searchTitles || [];
+    searchTitles.forEach((title, index) => {
+      // One-word titles ("Analyst", "Developer") match too much
+      const generic = title.trim().split(/\s+/).length === 1 ? 0.15 : 0;
+      add(this.withSeniority(title, prefix), this.weights.familyTitle - generated - index * 0.05 - generic, 'role family');
+    });
+
+    // Earlier titles at the current level; ones with their own level
+    // ("Engineering Intern") describe where the candidate was
+    (resumeData.positions || []).slice(1, 3)
+      .filter(position => position.title && !this.hasLevel(position.title) &&
+        (!primaryTitle || roleTaxonomy.sameFamily(position.title, primaryTitle)))
+      .forEach(position => add(this.withSeniority(position.title, prefix), this.weights.pastTitle - generated, 'past title'));
+
+    if (primaryTitle) {
+      (resumeData.skills?.technical || []).slice(0, 2).forEach((skill, index) => {
+        add(this.withSkill(leveled, skill), this.weights.skillTitle - generated - index * 0.05, 'top skill');
+      });
+    }
+
+    const queries = this.rank(candidates, include, exclude)
+      .slice(0, this.maxQueries)
+      .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100, include, exclude }));
+
+    console.log('Search queries:', queries.map(query => `${query.text} (${query.score}, ${query.reason})`));
+    return queries;
+  }
+
+  /**
+   * Best first, one per canonical title, without excluded words except in
+   * titles the user typed; queries naming a must-have keyword rank higher
+   */
+  rank(candidates, include, exclude) {
+    const best = new Map();
+
+    for (const candidate of candidates) {
+      if (candidate.reason !== 'target title' && exclude.some(keyword => this.mentions(candidate.text, keyword))) continue;
+
+      const score = candidate.score + (include.some(keyword => this.mentions(candidate.text, keyword)) ? 0.1 : 0);
+      const key = jobDeduplicator.canonicalTitle(candidate.text);
+      if (key && (!best.has(key) || best.get(key).score < score)) {
+        best.set(key, { ...candidate, score });
+      }
+    }
+
+    return [...best.values()].sort((a, b) => b.score - a.score);
+  }
+
+  seniorityPrefix(seniority) {
+    if (!seniority || seniority.confidence < this.minSeniorityConfidence) {
+      return '';
+    }
+    return this.seniorityPrefixes[seniority.level] || '';
+  }
+
+  /**
+   * A title with the seniority prefix, unless it already has a level
+   */
+  withSeniority(title, prefix) {
+    return prefix && !this.hasLevel(title) ? `${prefix} ${title}` : title;
+  }
+
+  hasLevel(title) {
+    const words = jobDeduplicator.canonicalTitle(title);
+    const rung = roleTaxonomy.ladderRung(title);
+    return this.levelWords.some(word => new RegExp(`(^| )${word}( |$)`).test(words)) || Boolean(rung && rung.level !== 'mid');
+  }
+
+  /**
+   * A title with a skill in front of the role, after any level words
+   * ("Senior Go Engineer")
+   */
+  withSkill(title, skill) {
+    const level = new RegExp(`^((${this.levelWords.join('|')}|sr\\.?|jr\\.?)\\s+)+`, 'i');
+    const match = title.match(level);
+    return match ? `${match[0]}${skill} ${title.slice(match[0].length)}` : `${skill} ${title}`;
+  }
+
+  /**
+   * Queries for each provider: the best query runs everywhere and the rest
+   * are dealt out in rank order, so providers search different titles
+   * @param {Array} queries - From plan
+   * @param {Array} slots - Queries each provider may run, in provider order
+   * @returns {Array} A query list per provider
+   */
+  distribute(queries, slots) {
+    const [best, ...rest] = queries;
+    if (!best) return slots.map(() => []);
+
+    return slots.map((count, index) => {
+      const dealt = rest.filter((query, position) => position % slots.length === index);
+      const others = rest.filter(query => !dealt.includes(query));
+      return [best, ...dealt, ...others].slice(0, count);
+    });
+  }
+
+  /**
+   * Whether a job fits the keywords: every must-have keyword in its title
+   * or description and no excluded keyword in its title
+   */
+  matches(job, { include = [], exclude = [] } = {}) {
+    const text = `${job.title} ${job.description || ''}`;
+    return include.every(keyword => this.mentions(text, keyword)) &&
+      !exclude.some(keyword => this.mentions(job.title, keyword));
+  }
+
+  /**
+   * Whether text has a keyword as a whole word or phrase, ignoring case
+   */
+  mentions(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text || '');
+  }
+}
+
+module.exports = new QueryPlanner();
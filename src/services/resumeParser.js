@@ -3,73 +3,89 @@ const path = require('path');
 const pdfParse = require('pdf-parse');
 const PDFParser = require('pdf2json');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const experienceTimeline = require('./experienceTimeline');
+const skillTaxonomy = require('./skillTaxonomy');
+const roleTaxonomy = require('./roleTaxonomy');
+const taxonomyPacks = require('./taxonomyPacks');
+const llmExtractor = require('./llmExtractor');
+const profileExport = require('./profileExport');
+const contactExtractor = require('./contactExtractor');
+const educationExtractor = require('./educationExtractor');
 
 /**
  * Resume Parser Service
- * Extracts structured information from resume files (PDF, DOCX, TXT)
+ * Extracts structured information from resume files
+ * (PDF, DOCX, TXT, RTF, ODT, HTML, Markdown and JSON Resume)
  */
 
 class ResumeParser {
   constructor() {
-    // Common job titles/roles to identify
-    this.roleTitles = [
-      // Engineering
-      'software engineer', 'senior software engineer', 'staff engineer', 'principal engineer',
-      'frontend engineer', 'backend engineer', 'full stack engineer', 'fullstack engineer',
-      'devops engineer', 'site reliability engineer', 'sre', 'platform engineer',
-      'data engineer', 'machine learning engineer', 'ml engineer', 'ai engineer',
-      'qa engineer', 'test engineer', 'automation engineer',
-      // Product & Design
-      'product manager', 'senior product manager', 'product owner', 'program manager',
-      'product designer', 'ux designer', 'ui designer', 'ux/ui designer',
-      'graphic designer', 'visual designer', 'interaction designer',
-      // Data
-      'data scientist', 'data analyst', 'business analyst', 'analytics engineer',
-      // Management
-      'engineering manager', 'technical lead', 'tech lead', 'team lead',
-      'director of engineering', 'vp of engineering', 'cto', 'ceo',
-      'project manager', 'scrum master', 'agile coach',
-      // Marketing & Sales
-      'marketing manager', 'digital marketing', 'content manager', 'seo specialist',
-      'sales manager', 'account executive', 'business development',
-      // Other
-      'consultant', 'analyst', 'specialist', 'coordinator', 'administrator',
-      'intern', 'associate', 'junior', 'senior', 'lead', 'head of', 'chief'
-    ];
+    // Nouns that identify a line as a job title when splitting positions,
+    // plus the role nouns of every family in the role taxonomy
+    this.titleNounPattern = new RegExp(`\\b(?:${[
+      'engineer', 'developer', 'programmer', 'architect', 'manager', 'designer',
+      'analyst', 'scientist', 'lead', 'director', 'specialist', 'consultant',
+      'coordinator', 'administrator', 'intern', 'owner', 'scrum master', 'coach',
+      'executive', 'officer', 'head of', 'vp', 'vice president', 'president',
+      'co-founder', 'founder', 'associate', 'assistant', 'representative',
+      'researcher', 'strategist', 'recruiter', 'accountant', 'technician',
+      'sre', 'cto', 'ceo', 'cfo', 'coo',
+      ...roleTaxonomy.titleNouns()
+    ].join('|')})s?\\b`, 'i');
 
-    // Skills to extract
-    this.technicalSkills = [
-      // Programming Languages
-      'javascript', 'typescript', 'python', 'java', 'c++', 'c#', 'go', 'golang', 'rust',
-      'ruby', 'php', 'swift', 'kotlin', 'scala', 'r', 'matlab', 'sql',
-      // Frontend
-      'react', 'reactjs', 'react.js', 'angular', 'vue', 'vuejs', 'vue.js', 'svelte',
-      'next.js', 'nextjs', 'nuxt', 'gatsby', 'html', 'css', 'sass', 'scss', 'tailwind',
-      // Backend
-      'node.js', 'nodejs', 'express', 'django', 'flask', 'fastapi', 'spring', 'spring boot',
-      '.net', 'rails', 'laravel', 'graphql', 'rest api', 'microservices',
-      // Databases
-      'mysql', 'postgresql', 'postgres', 'mongodb', 'redis', 'elasticsearch',
-      'dynamodb', 'cassandra', 'sqlite', 'oracle', 'sql server',
-      // Cloud & DevOps
-      'aws', 'amazon web services', 'azure', 'gcp', 'google cloud',
-      'docker', 'kubernetes', 'k8s', 'terraform', 'ansible', 'jenkins',
-      'ci/cd', 'github actions', 'gitlab', 'circleci',
-      // Data & ML
-      'tensorflow', 'pytorch', 'scikit-learn', 'pandas', 'numpy', 'spark',
-      'hadoop', 'kafka', 'airflow', 'tableau', 'power bi',
-      // Tools
-      'git', 'jira', 'confluence', 'figma', 'sketch', 'adobe xd', 'photoshop',
-      'agile', 'scrum', 'kanban'
-    ];
+    // Section headings, normalised to lowercase letters, spaces and "&"
+    this.sectionHeadings = {
+      summary: ['summary', 'professional summary', 'career summary', 'profile', 'professional profile',
+        'about', 'about me', 'objective', 'career objective', 'overview'],
+      experience: ['experience', 'work experience', 'professional experience', 'relevant experience',
+        'employment', 'employment history', 'work history', 'career history'],
+      education: ['education', 'academic background', 'education & training', 'academics'],
+      skills: ['skills', 'technical skills', 'key skills', 'core competencies', 'competencies',
+        'technologies', 'tools & technologies', 'skills & tools', 'skills & technologies'],
+      projects: ['projects', 'personal projects', 'selected projects', 'key projects', 'side projects'],
+      certifications: ['certifications', 'certificates', 'licenses & certifications',
+        'certifications & licenses', 'certifications & training']
+    };
 
-    // Experience level indicators
+    // Bullet markers at the start of a line ("•", "-", "*", "1.")
+    this.bulletPattern = /^\s*(?:[•●▪◦‣∙·*➢►▸✓]|[-–—](?=\s)|\d{1,2}[.)](?=\s))\s*/;
+
+    // Seniority words as they appear in job titles, checked highest level first
     this.seniorityIndicators = {
-      entry: ['intern', 'internship', 'junior', 'entry level', 'associate', 'graduate', 'trainee'],
-      mid: ['mid-level', 'mid level', 'intermediate', '2+ years', '3+ years', '2-4 years'],
-      senior: ['senior', 'sr.', 'lead', 'principal', '5+ years', '6+ years', '7+ years'],
-      manager: ['manager', 'director', 'head of', 'vp', 'chief', 'c-level', 'executive']
+      manager: ['manager', 'director', 'head of', 'vp', 'vice president', 'chief', 'cto', 'ceo', 'cfo', 'coo'],
+      senior: ['senior', 'sr', 'lead', 'staff', 'principal', 'iii'],
+      mid: ['mid-level', 'mid level', 'intermediate', 'ii'],
+      entry: ['intern', 'internship', 'trainee', 'apprentice', 'junior', 'jr', 'graduate', 'entry level', 'associate']
+    };
+    this.seniorityIndicators = taxonomyPacks.extendMap('seniorityIndicators', this.seniorityIndicators);
+
+    // "Manager" titles that name a discipline rather than a people-management role
+    this.individualManagerTitles = ['product manager', 'program manager', 'project manager', 'account manager'];
+
+    // Scope statements in bullets, e.g. "Managed 6 engineers" or "Led a team of 4"
+    this.scopeSignals = [
+      { level: 'manager', pattern: /\b(?:managed|managing|manage|supervised|oversaw|hired and managed)\s+(?:a\s+team\s+of\s+)?(\d+)\+?\s+(?:[a-z]+\s+)?(?:engineers|developers|designers|analysts|people|reports|staff|employees|managers)\b/i },
+      { level: 'manager', pattern: /\b(\d+)\+?\s+direct\s+reports\b/i },
+      { level: 'senior', pattern: /\b(?:led|leading|lead)\s+(?:a\s+)?(?:team|squad|group)\s+of\s+(\d+)/i },
+      { level: 'senior', pattern: /\b(?:mentored|mentoring|coached)\b/i }
+    ];
+
+    // How much each kind of evidence counts towards the seniority decision
+    this.seniorityWeights = { latestTitle: 3, previousTitle: 1.5, years: 2, estimatedYears: 1, scope: 1.5 };
+
+    // Extraction strategies besides the built-in rules, chosen with RESUME_EXTRACTOR
+    this.strategies = { llm: llmExtractor };
+    this.strategyName = process.env.RESUME_EXTRACTOR || 'rules';
+
+    // How text is read from each format; PDFs record which parser succeeded
+    this.textMethods = {
+      '.docx': 'mammoth', '.txt': 'plain text', '.rtf': 'rtf', '.odt': 'odt',
+      '.html': 'html', '.htm': 'html', '.md': 'markdown', '.markdown': 'markdown'
     };
+
+    // Field confidence below this is flagged in diagnostics
+    this.lowConfidence = 0.5;
   }
 
   /**
@@ -77,12 +93,14 @@ class ResumeParser {
    */
   async parse(filePath) {
     const ext = path.extname(filePath).toLowerCase();
+    const source = { format: ext.slice(1), method: this.textMethods[ext] || null };
     let text = '';
+    let resumeData = null;
 
     try {
       switch (ext) {
         case '.pdf':
-          text = await this.parsePDF(filePath);
+          text = await this.parsePDF(filePath, source);
           break;
         case '.docx':
           text = await this.parseDOCX(filePath);
@@ -90,11 +108,34 @@ class ResumeParser {
         case '.txt':
           text = await this.parseTXT(filePath);
           break;
+        case '.rtf':
+          text = await this.parseRTF(filePath);
+          break;
+        case '.odt':
+          text = await this.parseODT(filePath);
+          break;
+        case '.html':
+        case '.htm':
+          text = await this.parseHTML(filePath);
+          break;
+        case '.md':
+        case '.markdown':
+          text = await this.parseMarkdown(filePath);
+          break;
+        case '.json':
+          // Saved profiles and JSON Resume are already structured - no text heuristics needed
+          resumeData = await this.parseJSON(filePath);
+          source.method = resumeData.extraction.strategy;
+          break;
         default:
           throw new Error(`Unsupported file format: ${ext}`);
       }
 
-      return this.extractInformation(text);
+      if (!resumeData) {
+        resumeData = await this.extract(text);
+      }
+      resumeData.diagnostics = this.diagnose(resumeData, source);
+      return resumeData;
     } catch (error) {
       console.error('Error parsing resume:', error);
       throw error;
@@ -104,7 +145,7 @@ class ResumeParser {
   /**
    * Parse PDF file - tries multiple methods
    */
-  async parsePDF(filePath) {
+  async parsePDF(filePath, source = {}) {
     // Method 1: Try pdf-parse first
     try {
       const dataBuffer = fs.readFileSync(filePath);
@@ -113,6 +154,7 @@ class ResumeParser {
       const cleanText = data.text.replace(/\s+/g, ' ').trim();
       if (cleanText.length > 50) {
         console.log('PDF parsed with pdf-parse, text length:', cleanText.length);
+        source.method = 'pdf-parse';
         return data.text;
       }
     } catch (err) {
@@ -144,6 +186,7 @@ class ResumeParser {
             });
           }
           console.log('PDF parsed with pdf2json, text length:', text.length);
+          source.method = 'pdf2json';
           resolve(text);
         } catch (err) {
           reject(err);
@@ -174,251 +217,1048 @@ class ResumeParser {
   }
 
   /**
-   * Extract structured information from resume text
+   * Parse RTF file by dropping control words and non-text groups
+   */
+  async parseRTF(filePath) {
+    return this.rtfToText(fs.readFileSync(filePath, 'latin1'));
+  }
+
+  /**
+   * Convert RTF markup to plain text
+   */
+  rtfToText(rtf) {
+    // Groups that hold formatting tables or metadata rather than document text
+    const skipDestinations = ['fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'listtable', 'listoverridetable'];
+    const cp1252 = { 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—' };
+    const stack = [];
+    let skipping = false;
+    let text = '';
+
+    for (let i = 0; i < rtf.length; i++) {
+      const char = rtf[i];
+
+      if (char === '{') {
+        stack.push(skipping);
+        continue;
+      }
+      if (char === '}') {
+        skipping = stack.pop() || false;
+        continue;
+      }
+      if (char !== '\\') {
+        if (!skipping && char !== '\r' && char !== '\n') text += char;
+        continue;
+      }
+
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skipping) text += next;
+        i++;
+        continue;
+      }
+      if (next === "'") {
+        // \'hh - a character in the document code page (Windows-1252 punctuation mapped)
+        const code = parseInt(rtf.substr(i + 2, 2), 16);
+        if (!skipping) text += cp1252[code] || String.fromCharCode(code);
+        i += 3;
+        continue;
+      }
+      if (next === '*') {
+        // \* marks an optional destination this reader does not understand
+        skipping = true;
+        i++;
+        continue;
+      }
+
+      const control = rtf.slice(i + 1).match(/^([a-z]+)(-?\d+)? ?/i);
+      if (!control) {
+        i++;
+        continue;
+      }
+      i += control[0].length;
+
+      const [, word, param] = control;
+      if (skipDestinations.includes(word)) {
+        skipping = true;
+      } else if (!skipping) {
+        if (word === 'par' || word === 'line') text += '\n';
+        else if (word === 'tab') text += '\t';
+        else if (word === 'bullet') text += '•';
+        else if (word === 'u' && param) {
+          text += String.fromCharCode(parseInt(param, 10) < 0 ? parseInt(param, 10) + 65536 : parseInt(param, 10));
+          // Skip the fallback character that follows \uN
+          if (rtf[i + 1] === '?') i++;
+        }
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Parse ODT (OpenDocument Text) file from its content.xml
+   */
+  async parseODT(filePath) {
+    const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+    const contentFile = zip.file('content.xml');
+    if (!contentFile) {
+      throw new Error('ODT file has no content.xml');
+    }
+
+    const xml = await contentFile.async('string');
+    const text = xml
+      .replace(/<text:tab\s*\/>/g, '\t')
+      .replace(/<text:line-break\s*\/>/g, '\n')
+      .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, count) => ' '.repeat(parseInt(count, 10) || 1))
+      .replace(/<text:list-item[^>]*>/g, '• ')
+      .replace(/<\/text:(?:p|h)>/g, '\n')
+      .replace(/<[^>]+>/g, '');
+
+    return this.decodeEntities(text);
+  }
+
+  /**
+   * Parse HTML file (e.g. a Google Docs export)
+   */
+  async parseHTML(filePath) {
+    return this.htmlToText(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  /**
+   * Convert HTML to plain text, keeping line breaks at block elements
+   */
+  htmlToText(html) {
+    const text = html
+      .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<li[^>]*>/gi, '\n• ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr|section|article|header|footer|ul|ol|table)>/gi, '\n')
+      .replace(/<(td|th)[^>]*>/gi, ' | ')
+      .replace(/<[^>]+>/g, '');
+
+    return this.decodeEntities(text)
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .join('\n');
+  }
+
+  /**
+   * Parse Markdown file, removing formatting but keeping headings and bullets
+   */
+  async parseMarkdown(filePath) {
+    const markdown = fs.readFileSync(filePath, 'utf-8');
+
+    return markdown
+      .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+      .replace(/```[\s\S]*?```/g, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^\s*[-*+]\s+/gm, '• ')
+      .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+      .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+      .replace(/^>\s?/gm, '');
+  }
+
+  /**
+   * Decode the HTML/XML entities that show up in exported documents
+   */
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', bull: '•', middot: '·' };
+
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&([a-z]+);/gi, (m, name) => named[name.toLowerCase()] ?? m);
+  }
+
+  /**
+   * Parse a JSON upload: a saved JagentProfile is restored as-is,
+   * anything else is read as JSON Resume
+   */
+  async parseJSON(filePath) {
+    let json;
+    try {
+      json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+
+    if (profileExport.isJagentProfile(json)) {
+      const resumeData = profileExport.fromJagentProfile(json);
+      resumeData.extraction = { strategy: 'profile', fallback: false };
+      // Re-resolve skills so a hand-edited profile only carries known taxonomy entries
+      const skillIds = new Set(resumeData.skills.items.map(skill =>
+        (skillTaxonomy.get(skill.id) ? skill.id : skillTaxonomy.normalize(skill.name))));
+      resumeData.skills = this.skillsFromIds(skillIds);
+      return resumeData;
+    }
+
+    return this.parseJSONResume(json);
+  }
+
+  /**
+   * Parse a JSON Resume (jsonresume.org) document straight into a parsed resume.
+   * Work entries map to positions and declared skills to taxonomy entries.
+   */
+  parseJSONResume(resume) {
+    if (!resume || typeof resume !== 'object' || (!Array.isArray(resume.work) && !resume.basics)) {
+      throw new Error('JSON file is not a JSON Resume document');
+    }
+
+    const text = this.jsonResumeToText(resume);
+    const positions = (resume.work || [])
+      .filter(work => work.position || work.name)
+      .map(work => this.jsonResumePosition(work));
+
+    const skillIds = new Set();
+    for (const skill of resume.skills || []) {
+      for (const name of [skill.name, ...(skill.keywords || [])]) {
+        const id = skillTaxonomy.normalize(name);
+        if (id) skillIds.add(id);
+      }
+    }
+    const skills = this.skillsFromIds(skillIds);
+
+    const education = (resume.education || [])
+      .filter(edu => edu && (edu.studyType || edu.area || edu.institution))
+      .map(edu => educationExtractor.fromJSONResume(edu));
+
+    // JSON Resume calls them certificates
+    const certifications = (resume.certificates || [])
+      .filter(cert => cert?.name)
+      .map(cert => ({
+        ...educationExtractor.extractCertifications([cert.name])[0],
+        name: cert.name,
+        issuer: cert.issuer || educationExtractor.findIssuer(cert.name),
+        date: cert.date || null
+      }));
+
+    return this.buildProfile(text, {
+      sections: this.splitSections(text),
+      positions,
+      skills,
+      education,
+      certifications
+    }, { strategy: 'json-resume', fallback: false });
+  }
+
+  /**
+   * Map a JSON Resume work entry to a position
+   */
+  jsonResumePosition(work) {
+    const location = typeof work.location === 'string' ? work.location : null;
+    const position = {
+      title: work.position || work.name,
+      company: work.position ? (work.name || work.company || null) : null,
+      location,
+      startDate: this.jsonResumeDate(work.startDate, 'start'),
+      endDate: null,
+      current: false,
+      months: null,
+      datesEstimated: false,
+      bullets: [...(work.summary ? [work.summary] : []), ...(work.highlights || [])],
+      header: [work.position, work.name || work.company, location].filter(Boolean).join(' | ')
+    };
+
+    if (position.startDate) {
+      if (work.endDate) {
+        position.endDate = this.jsonResumeDate(work.endDate, 'end');
+      } else {
+        const now = new Date();
+        position.endDate = experienceTimeline.format({ year: now.getFullYear(), month: now.getMonth() + 1 });
+        position.current = true;
+      }
+    }
+
+    if (position.startDate && position.endDate) {
+      position.datesEstimated = !/^\d{4}-\d{2}/.test(work.startDate) ||
+        Boolean(work.endDate && !/^\d{4}-\d{2}/.test(work.endDate));
+      position.months = experienceTimeline.positionMonths(position);
+    } else {
+      position.startDate = null;
+      position.endDate = null;
+    }
+
+    return position;
+  }
+
+  /**
+   * Convert a JSON Resume ISO date ("2019-03-01", "2019-03" or "2019") to YYYY-MM
+   */
+  jsonResumeDate(value, edge) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) return null;
+
+    const date = match[2]
+      ? { year: parseInt(match[1], 10), month: parseInt(match[2], 10) }
+      : experienceTimeline.parseDate(match[1], edge);
+    return experienceTimeline.format(date);
+  }
+
+  /**
+   * Render a JSON Resume as resume-like text, used for keywords and display
+   */
+  jsonResumeToText(resume) {
+    const lines = [];
+    const basics = resume.basics || {};
+
+    if (basics.name) lines.push(basics.name);
+    const location = basics.location || {};
+    const contactLine = [
+      // Country name rather than code: "CA" would read as California
+      [location.city, location.region, contactExtractor.getCountry(location.countryCode)?.name || location.countryCode]
+        .filter(Boolean).join(', '),
+      basics.url,
+      ...(basics.profiles || []).map(profile => profile.url)
+    ].filter(Boolean).join(' | ');
+    if (contactLine) lines.push(contactLine);
+    if (basics.label) lines.push(basics.label);
+    if (basics.summary) lines.push('Summary', basics.summary);
+
+    if (resume.work?.length) {
+      lines.push('Experience');
+      for (const work of resume.work) {
+        lines.push([work.position, work.name, work.startDate, work.endDate || 'Present'].filter(Boolean).join(' | '));
+        (work.highlights || []).forEach(h => lines.push(`• ${h}`));
+      }
+    }
+
+    if (resume.education?.length) {
+      lines.push('Education');
+      for (const edu of resume.education) {
+        lines.push([edu.studyType, edu.area, edu.institution, edu.endDate].filter(Boolean).join(', '));
+      }
+    }
+
+    if (resume.certificates?.length) {
+      lines.push('Certifications');
+      for (const cert of resume.certificates) {
+        lines.push([cert.name, cert.issuer, cert.date].filter(Boolean).join(', '));
+      }
+    }
+
+    if (resume.skills?.length) {
+      lines.push('Skills');
+      lines.push(resume.skills.flatMap(skill => [skill.name, ...(skill.keywords || [])]).filter(Boolean).join(', '));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Run the configured extraction strategy over resume text.
+   * Any strategy other than `rules` is checked and merged over the rule-based
+   * result, and the rules are used on their own if it fails.
+   */
+  async extract(text) {
+    const baseline = this.extractFields(text);
+    const strategy = this.strategies[this.strategyName];
+
+    if (!strategy) {
+      return this.buildProfile(text, baseline, { strategy: 'rules', fallback: false });
+    }
+
+    try {
+      const extracted = await strategy.extract(text, baseline);
+      const fields = this.mergeFields(baseline, extracted);
+      return this.buildProfile(text, fields, { strategy: this.strategyName, fallback: false });
+    } catch (error) {
+      console.error(`${this.strategyName} extraction failed, falling back to rules:`, error.message);
+      return this.buildProfile(text, baseline, { strategy: 'rules', fallback: true, error: error.message });
+    }
+  }
+
+  /**
+   * Register an extraction strategy.
+   * A strategy implements `async extract(text, baseline)` and resolves to
+   * `{ positions, skills, education, certifications }`; any field it leaves out keeps the
+   * rule-based value.
+   */
+  registerStrategy(name, strategy) {
+    this.strategies[name] = strategy;
+  }
+
+  /**
+   * Extract structured information from resume text using the rules only
    */
   extractInformation(text) {
-    const normalizedText = text.toLowerCase();
+    return this.buildProfile(text, this.extractFields(text), { strategy: 'rules', fallback: false });
+  }
+
+  /**
+   * Rule-based extraction of the fields a strategy can replace
+   */
+  extractFields(text) {
+    // Split the resume into its sections (Experience, Education, ...)
+    const sections = this.splitSections(text);
+
+    return {
+      sections,
+      // Positions held, in the order they appear on the resume
+      positions: this.extractPositions(sections),
+      // Skills, resolved to canonical taxonomy entries
+      skills: this.extractSkills(text, sections),
+      // Degrees and certifications as structured entries
+      education: this.extractEducation(text, sections),
+      certifications: this.extractCertifications(sections)
+    };
+  }
+
+  /**
+   * Merge a strategy's result over the rule-based fields.
+   * Positions, education and certifications are replaced when the strategy
+   * found any; skills are combined, keeping only names the taxonomy recognises.
+   */
+  mergeFields(baseline, extracted) {
+    const fields = { ...baseline };
+
+    if (extracted.positions?.length > 0) {
+      fields.positions = extracted.positions.map(position => {
+        const merged = {
+          title: position.title,
+          company: position.company || null,
+          location: position.location || null,
+          startDate: position.startDate || null,
+          endDate: position.endDate || null,
+          current: Boolean(position.current),
+          months: null,
+          datesEstimated: false,
+          bullets: position.bullets || [],
+          header: [position.title, position.company, position.location].filter(Boolean).join(' | ')
+        };
+        if (merged.startDate && merged.endDate) {
+          merged.months = experienceTimeline.positionMonths(merged);
+        }
+        return merged;
+      });
+    }
+
+    if (extracted.skills?.length > 0) {
+      const ids = new Set(baseline.skills.items.map(skill => skill.id));
+      extracted.skills.forEach(name => {
+        const id = skillTaxonomy.normalize(name);
+        if (id) ids.add(id);
+      });
+      fields.skills = this.skillsFromIds(ids);
+    }
 
-    // Extract roles/positions held
-    const roles = this.extractRoles(text, normalizedText);
+    if (extracted.education?.length > 0) {
+      fields.education = extracted.education.map(entry => educationExtractor.parseEntry(entry));
+    }
 
-    // Calculate years of experience per role type
-    const experienceByRole = this.calculateExperienceByRole(text, roles);
+    if (extracted.certifications?.length > 0) {
+      fields.certifications = educationExtractor.extractCertifications(extracted.certifications);
+    }
 
-    // Extract skills
-    const skills = this.extractSkills(normalizedText);
+    return fields;
+  }
 
-    // Determine overall seniority level
-    const seniorityLevel = this.determineSeniorityLevel(normalizedText, experienceByRole);
+  /**
+   * Derive the timeline, experience, primary role and seniority from
+   * extracted fields and assemble the parsed resume
+   */
+  buildProfile(text, fields, extraction) {
+    const { sections, positions, skills, education, certifications } = fields;
 
-    // Extract education (bonus for matching)
-    const education = this.extractEducation(normalizedText);
+    // Merge position dates into a month-precise timeline, then group by role type
+    const timeline = experienceTimeline.build(positions, p => this.roleTypesOf(p.title));
+    const experienceByRole = this.calculateExperienceByRole(positions, timeline);
+    const totalYearsExperience = this.calculateTotalExperience(timeline);
 
     // Get primary role (most recent or most experienced)
-    const primaryRole = this.determinePrimaryRole(roles, experienceByRole);
+    const primaryRole = this.determinePrimaryRole(positions, experienceByRole);
+
+    // Infer seniority from recent titles, years in the primary role type and scope
+    const seniority = this.determineSeniority(positions, experienceByRole, primaryRole, totalYearsExperience);
 
     return {
       rawText: text,
-      roles,
+      extraction,
+      sections: this.summarizeSections(sections),
+      positions,
+      timeline,
       experienceByRole,
-      totalYearsExperience: this.calculateTotalExperience(experienceByRole),
+      totalYearsExperience,
       skills,
-      seniorityLevel,
+      seniority,
+      seniorityLevel: seniority.level,
       education,
+      certifications: certifications || [],
       primaryRole,
+      // Location, links and work preferences from the top of the resume
+      contact: contactExtractor.extract(text, sections),
       keywords: this.extractKeywords(text)
     };
   }
 
   /**
-   * Extract job roles/titles from resume
+   * Apply corrections from the review page to a parsed profile.
+   * Derived fields are rebuilt from the edited positions; years, seniority and
+   * primary role only override the rebuilt values when the user changed them.
+   * @param {Object} resumeData - Profile as it was shown on the review page
+   * @param {Object} review - { positions: [{ title, company, remove }], experience: { type: years },
+   *   skills: 'comma, separated', seniorityLevel, primaryRole: { type, title } }
    */
-  extractRoles(text, normalizedText) {
-    const foundRoles = [];
-    const lines = text.split('\n');
+  applyReview(resumeData, review) {
+    const edits = Array.isArray(review.positions) ? review.positions : Object.values(review.positions || {});
+    const positions = resumeData.positions
+      .map((position, index) => {
+        const edit = edits[index] || {};
+        if (edit.remove) return null;
+        const title = (edit.title ?? position.title).trim();
+        if (!title) return null;
+        const company = (edit.company ?? position.company ?? '').trim();
+        return { ...position, title, company: company || null };
+      })
+      .filter(Boolean);
 
-    // Look for role patterns
-    for (const line of lines) {
-      const normalizedLine = line.toLowerCase().trim();
-
-      for (const role of this.roleTitles) {
-        if (normalizedLine.includes(role)) {
-          // Try to extract the full title and company
-          const roleInfo = this.parseRoleLine(line, role);
-          if (roleInfo && !foundRoles.some(r => r.title.toLowerCase() === roleInfo.title.toLowerCase())) {
-            foundRoles.push(roleInfo);
-          }
-        }
+    const timeline = experienceTimeline.build(positions, p => this.roleTypesOf(p.title));
+    const experienceByRole = this.calculateExperienceByRole(positions, timeline);
+
+    for (const [type, value] of Object.entries(review.experience || {})) {
+      const years = parseFloat(value);
+      if (!Number.isFinite(years) || years < 0) continue;
+      if (years === resumeData.experienceByRole[type]?.years) continue;
+      if (years === 0) {
+        delete experienceByRole[type];
+        continue;
       }
+      experienceByRole[type] = {
+        years,
+        months: Math.round(years * 12),
+        estimated: false,
+        edited: true,
+        roles: experienceByRole[type]?.roles || []
+      };
     }
 
-    // Also look for patterns like "Role at Company" or "Role | Company"
-    const rolePatterns = [
-      /([A-Z][a-zA-Z\s]+(?:Engineer|Developer|Designer|Manager|Analyst|Scientist|Lead|Director|Specialist|Consultant))\s+(?:at|@|\||-)\s+([A-Za-z0-9\s&.]+)/gi,
-      /([A-Z][a-zA-Z\s]+(?:Engineer|Developer|Designer|Manager|Analyst|Scientist|Lead|Director|Specialist|Consultant))\s*[\n,]\s*([A-Za-z0-9\s&.]+)/gi
-    ];
+    // Total experience cannot be shorter than the longest role type
+    const totalYearsExperience = Math.max(
+      this.calculateTotalExperience(timeline),
+      ...Object.values(experienceByRole).map(data => data.years)
+    );
 
-    for (const pattern of rolePatterns) {
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        const title = match[1].trim();
-        const company = match[2].trim();
-        if (!foundRoles.some(r => r.title.toLowerCase() === title.toLowerCase())) {
-          foundRoles.push({ title, company, years: null });
-        }
+    let primaryRole = this.determinePrimaryRole(positions, experienceByRole);
+    const roleEdit = review.primaryRole || {};
+    const roleType = roleEdit.type || resumeData.primaryRole.type;
+    const roleTitle = (roleEdit.title || '').trim() || resumeData.primaryRole.title;
+    if (roleType !== resumeData.primaryRole.type || roleTitle !== resumeData.primaryRole.title) {
+      primaryRole = { type: roleType, title: roleTitle, yearsInRole: experienceByRole[roleType]?.years || 0 };
+    }
+
+    let seniority = this.determineSeniority(positions, experienceByRole, primaryRole, totalYearsExperience);
+    if (review.seniorityLevel && review.seniorityLevel !== resumeData.seniorityLevel &&
+        Object.keys(this.seniorityIndicators).includes(review.seniorityLevel)) {
+      seniority = {
+        level: review.seniorityLevel,
+        confidence: 1,
+        evidence: [
+          { signal: 'review', level: review.seniorityLevel, weight: 1, text: 'Set on the review page' },
+          ...seniority.evidence
+        ]
+      };
+    }
+
+    let skills = resumeData.skills;
+    if (typeof review.skills === 'string') {
+      const skillIds = new Set(review.skills.split(/[,\n]/).map(name => skillTaxonomy.normalize(name)));
+      skills = this.skillsFromIds(skillIds);
+    }
+
+    return {
+      ...resumeData,
+      positions,
+      timeline,
+      experienceByRole,
+      totalYearsExperience,
+      skills,
+      seniority,
+      seniorityLevel: seniority.level,
+      primaryRole,
+      ...(resumeData.diagnostics ? { diagnostics: { ...resumeData.diagnostics, reviewed: true } } : {})
+    };
+  }
+
+  /**
+   * Report how a resume was read: the text extraction method, sections found,
+   * fields that fell back to defaults and a 0-1 confidence per field
+   * @param {Object} resumeData - Parsed resume
+   * @param {Object} source - { format, method } of the uploaded file
+   * @returns {Object} { format, method, strategy, textLength, sectionsFound, fallbacks, confidence, lowConfidence }
+   */
+  diagnose(resumeData, source) {
+    const { positions, timeline, experienceByRole, skills, education, seniority, primaryRole } = resumeData;
+    const sectionsFound = Object.keys(resumeData.sections || {}).filter(name => name !== 'header');
+    const fallbacks = [];
+
+    if (resumeData.extraction?.fallback) {
+      fallbacks.push({ field: 'extraction', reason: `${this.strategyName} extraction failed, so the built-in rules were used` });
+    }
+    if (positions.length === 0) {
+      fallbacks.push({ field: 'positions', reason: 'No roles were found' });
+      fallbacks.push({ field: 'primaryRole', reason: `No roles were found, so the primary role defaulted to "${primaryRole.title}"` });
+    } else if (source.method !== 'profile' && !sectionsFound.includes('experience')) {
+      fallbacks.push({ field: 'positions', reason: 'No Experience heading was found, so roles were picked from dated lines' });
+    }
+    if (timeline.undatedPositions > 0) {
+      const years = experienceTimeline.undatedPositionMonths / 12;
+      fallbacks.push({
+        field: 'experience',
+        reason: `${timeline.undatedPositions} role(s) had no dates and were counted as ${years} years each`
+      });
+    } else if (timeline.estimated) {
+      fallbacks.push({ field: 'experience', reason: 'Some dates gave only a year or season, so months were estimated' });
+    }
+    if (seniority.evidence.every(item => item.signal === 'years')) {
+      fallbacks.push({ field: 'seniority', reason: 'No title or scope signals, so seniority was inferred from years alone' });
+    }
+    if (skills.items.length === 0) {
+      fallbacks.push({ field: 'skills', reason: 'No recognised skills were found' });
+    }
+    if (education.length === 0) {
+      fallbacks.push({ field: 'education', reason: 'No degree was found' });
+    } else if (education.some(entry => !entry.level)) {
+      fallbacks.push({ field: 'education', reason: 'Some education entries did not name a recognised degree' });
+    }
+    if (!resumeData.contact?.location) {
+      fallbacks.push({ field: 'location', reason: 'No location was found, so jobs are searched in the default region' });
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const positionScore = position =>
+      (position.startDate ? (position.datesEstimated ? 0.8 : 1) : 0.5) * (position.company ? 1 : 0.8);
+    const undatedShare = positions.length ? timeline.undatedPositions / positions.length : 1;
+
+    const confidence = {
+      positions: positions.length === 0 ? 0 : round(
+        positions.reduce((sum, p) => sum + positionScore(p), 0) / positions.length *
+        (sectionsFound.includes('experience') || source.method === 'profile' ? 1 : 0.8)
+      ),
+      experience: positions.length === 0 ? 0 : round((1 - 0.6 * undatedShare) * (timeline.estimated ? 0.85 : 1)),
+      skills: skills.items.length === 0 ? 0 : sectionsFound.includes('skills') ? 0.9 : 0.7,
+      education: education.length === 0 ? 0 : round(
+        (sectionsFound.includes('education') || source.method === 'profile' ? 0.9 : 0.6) *
+        (education.every(entry => entry.level) ? 1 : 0.8) * (education.every(entry => entry.institution) ? 1 : 0.9)
+      ),
+      seniority: seniority.confidence,
+      primaryRole: positions.length === 0 ? 0.2 : experienceByRole[primaryRole.type]?.estimated ? 0.7 : 0.9,
+      location: !resumeData.contact?.location ? 0 : resumeData.contact.location.city ? 0.9 : 0.7
+    };
+    // Certifications are optional, so only rated when some were found
+    if (resumeData.certifications?.length) {
+      confidence.certifications = resumeData.certifications.every(cert => cert.id) ? 0.9 : 0.7;
+    }
+
+    return {
+      format: source.format,
+      method: source.method,
+      strategy: resumeData.extraction?.strategy,
+      textLength: (resumeData.rawText || '').length,
+      sectionsFound,
+      fallbacks,
+      confidence,
+      lowConfidence: Object.keys(confidence).filter(field => confidence[field] < this.lowConfidence)
+    };
+  }
+
+  /**
+   * Split resume text into sections keyed by section name.
+   * Lines before the first recognised heading go into `header`.
+   */
+  splitSections(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const heading = this.matchSectionHeading(line);
+      if (heading) {
+        current = heading;
+        if (!sections[current]) sections[current] = [];
+        continue;
       }
+
+      sections[current].push(line);
     }
 
-    return foundRoles;
+    return sections;
   }
 
   /**
-   * Parse a line containing a role to extract details
+   * Return the section name if a line is a section heading, otherwise null
    */
-  parseRoleLine(line, matchedRole) {
-    // Clean up the line
-    const cleanLine = line.trim();
+  matchSectionHeading(line) {
+    if (line.length > 40) return null;
 
-    // Try to find years (e.g., "2019 - 2023", "2019 - Present")
-    const yearPattern = /(\d{4})\s*[-–]\s*(\d{4}|present|current)/i;
-    const yearMatch = cleanLine.match(yearPattern);
+    const normalized = line
+      .toLowerCase()
+      .replace(/[^a-z&\s]/g, ' ')
+      .replace(/\band\b/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
 
-    let years = null;
-    if (yearMatch) {
-      const startYear = parseInt(yearMatch[1]);
-      const endYear = yearMatch[2].toLowerCase() === 'present' || yearMatch[2].toLowerCase() === 'current'
-        ? new Date().getFullYear()
-        : parseInt(yearMatch[2]);
-      years = endYear - startYear;
+    for (const [section, headings] of Object.entries(this.sectionHeadings)) {
+      if (headings.includes(normalized)) {
+        return section;
+      }
     }
 
-    // Extract title (capitalize properly)
-    const title = this.capitalizeTitle(matchedRole);
+    return null;
+  }
 
-    return { title, years, rawLine: cleanLine };
+  /**
+   * Reduce split sections to joined text for the parsed output
+   */
+  summarizeSections(sections) {
+    const summary = {};
+    for (const [name, lines] of Object.entries(sections)) {
+      if (lines.length > 0) {
+        summary[name] = lines.join('\n');
+      }
+    }
+    return summary;
   }
 
   /**
-   * Capitalize a job title properly
+   * Extract the ordered list of positions from the Experience section.
+   * Resumes without a recognisable Experience heading are scanned as a whole,
+   * but only blocks that carry both a title and a date range are kept.
    */
-  capitalizeTitle(title) {
-    return title.split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
+  extractPositions(sections) {
+    const hasExperience = sections.experience?.length > 0;
+    const lines = hasExperience
+      ? sections.experience
+      : [...sections.header, ...(sections.summary || [])];
+
+    return this.groupPositionBlocks(lines, !hasExperience)
+      .map(block => this.parsePositionBlock(block))
+      .filter(position => position.title && (hasExperience || position.startDate));
   }
 
   /**
-   * Calculate years of experience grouped by role type
+   * Group experience lines into blocks of header lines followed by bullets.
+   * In strict mode only dated or title-like lines can open a block.
    */
-  calculateExperienceByRole(text, roles) {
-    const experienceMap = {};
+  groupPositionBlocks(lines, strict = false) {
+    const blocks = [];
+    let current = null;
 
-    // Parse dates from the resume to calculate experience
-    const datePatterns = [
-      /(\w+\s+\d{4})\s*[-–]\s*(\w+\s+\d{4}|present|current)/gi,
-      /(\d{4})\s*[-–]\s*(\d{4}|present|current)/gi
-    ];
+    for (const line of lines) {
+      const bullet = this.bulletPattern.test(line);
+      const hasDates = Boolean(experienceTimeline.findDateRange(line));
+      const isTitle = this.looksLikeTitle(line);
+      const isHeader = !bullet && (
+        hasDates ||
+        isTitle ||
+        (!strict && line.length <= 60 && !/[.;]$/.test(line) && !current?.bullets.length)
+      );
 
-    // Group roles by type
-    const roleTypes = {
-      'Engineering': ['engineer', 'developer', 'architect', 'devops', 'sre'],
-      'Product': ['product manager', 'product owner', 'program manager'],
-      'Design': ['designer', 'ux', 'ui'],
-      'Data': ['data scientist', 'data analyst', 'data engineer', 'ml engineer'],
-      'Management': ['manager', 'director', 'lead', 'head of', 'vp', 'chief']
+      if (isHeader) {
+        const startsNewBlock = !current ||
+          current.bullets.length > 0 ||
+          (hasDates && current.headerLines.some(l => experienceTimeline.findDateRange(l)));
+
+        if (startsNewBlock) {
+          current = { headerLines: [], bullets: [] };
+          blocks.push(current);
+        }
+        current.headerLines.push(line);
+      } else if (current) {
+        current.bullets.push(line.replace(this.bulletPattern, '').trim());
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Parse a block's header lines into title, company, location and dates
+   */
+  parsePositionBlock(block) {
+    const position = {
+      title: null,
+      company: null,
+      location: null,
+      startDate: null,
+      endDate: null,
+      current: false,
+      months: null,
+      datesEstimated: false,
+      bullets: block.bullets,
+      header: block.headerLines.join(' | ')
     };
 
-    for (const role of roles) {
-      const roleTitle = role.title.toLowerCase();
+    // Prefer an explicit range; fall back to a lone date such as "Summer 2015"
+    const range = block.headerLines.map(l => experienceTimeline.findDateRange(l)).find(Boolean) ||
+      block.headerLines.map(l => experienceTimeline.findSingleDate(l)).find(Boolean);
+    if (range) {
+      position.startDate = range.start;
+      position.endDate = range.end;
+      position.current = range.current;
+      position.datesEstimated = range.estimated;
+      position.months = experienceTimeline.positionMonths(position);
+    }
 
-      for (const [type, keywords] of Object.entries(roleTypes)) {
-        if (keywords.some(kw => roleTitle.includes(kw))) {
-          if (!experienceMap[type]) {
-            experienceMap[type] = { years: 0, roles: [] };
-          }
-          experienceMap[type].roles.push(role.title);
-          if (role.years) {
-            experienceMap[type].years += role.years;
-          }
+    const pieces = [];
+    for (const line of block.headerLines) {
+      const rest = range ? line.replace(range.text, ' ').replace(/[()]/g, ' ') : line;
+
+      pieces.push(...rest
+        .split(/\s*[|•·\t]\s*|\s+[-–—]\s+|\s+(?:at|@)\s+/i)
+        .map(p => p.trim().replace(/^[,\s]+|[,\s]+$/g, ''))
+        .filter(Boolean));
+    }
+
+    for (const piece of pieces) {
+      if (!position.title && this.looksLikeTitle(piece)) {
+        position.title = piece;
+      } else if (!position.location && this.looksLikeLocation(piece)) {
+        position.location = piece;
+      } else if (!position.company) {
+        // "Acme Corp, San Francisco, CA" - split a trailing location off
+        const commaIndex = piece.indexOf(',');
+        const tail = commaIndex > 0 ? piece.slice(commaIndex + 1).trim() : '';
+        if (tail && this.looksLikeLocation(tail)) {
+          position.company = piece.slice(0, commaIndex).trim();
+          position.location = position.location || tail;
+        } else {
+          position.company = piece;
         }
       }
     }
 
-    // If we couldn't extract years, estimate from resume length and role count
-    for (const type of Object.keys(experienceMap)) {
-      if (experienceMap[type].years === 0 && experienceMap[type].roles.length > 0) {
-        // Estimate 2 years per role as a fallback
-        experienceMap[type].years = experienceMap[type].roles.length * 2;
+    // "Data Analyst, Hooli" - the company follows the title after a comma
+    if (position.title && !position.company && position.title.includes(',')) {
+      const [title, ...rest] = position.title.split(',');
+      const tail = rest.join(',').trim();
+      if (!this.looksLikeTitle(tail)) {
+        position.title = title.trim();
+        position.company = tail;
       }
     }
 
-    return experienceMap;
+    return position;
+  }
+
+  /**
+   * Check whether a piece of text reads like a job title
+   */
+  looksLikeTitle(text) {
+    if (text.length > 80) return false;
+    return this.titleNounPattern.test(text);
+  }
+
+  /**
+   * Check whether a piece of text reads like a location
+   */
+  looksLikeLocation(text) {
+    if (/,\s*(?:inc|llc|ltd|corp|co|gmbh|plc)\.?$/i.test(text)) return false;
+    return /^(remote|hybrid|on-?site)\b/i.test(text) ||
+      /^[A-Z][A-Za-z .'-]+,\s*(?:[A-Z]{2}|[A-Z][A-Za-z .'-]+)$/.test(text);
   }
 
   /**
-   * Calculate total years of experience
+   * Capitalize a job title properly
    */
-  calculateTotalExperience(experienceByRole) {
-    let total = 0;
-    for (const type of Object.values(experienceByRole)) {
-      total += type.years;
+  capitalizeTitle(title) {
+    return title.split(' ')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  /**
+   * Calculate years of experience grouped by role type.
+   * Months come from the merged timeline, so overlapping roles count once.
+   */
+  calculateExperienceByRole(positions, timeline) {
+    const experienceMap = {};
+
+    for (const [type, data] of Object.entries(timeline.byRoleType)) {
+      experienceMap[type] = {
+        years: this.monthsToYears(data.months),
+        months: data.months,
+        estimated: data.estimated,
+        roles: positions
+          .filter(p => this.roleTypesOf(p.title).includes(type))
+          .map(p => p.title)
+      };
     }
-    // Account for overlapping roles (rough estimate)
-    return Math.min(total, 30); // Cap at 30 years
+
+    return experienceMap;
+  }
+
+  /**
+   * Role types (Engineering, Sales, Healthcare, ...) a job title belongs to
+   */
+  roleTypesOf(title) {
+    return roleTaxonomy.typesOf(title);
+  }
+
+  /**
+   * Calculate total years of experience from the merged timeline
+   */
+  calculateTotalExperience(timeline) {
+    return this.monthsToYears(timeline.totalMonths);
+  }
+
+  /**
+   * Convert months to years, rounded to one decimal place
+   */
+  monthsToYears(months) {
+    return Math.round((months / 12) * 10) / 10;
+  }
+
+  /**
+   * Extract technical and soft skills.
+   * `items` holds canonical { id, name, category } entries; the name lists are
+   * grouped for display.
+   */
+  extractSkills(text, sections) {
+    const items = skillTaxonomy.extract(text, {
+      listText: (sections.skills || []).join('\n')
+    });
+
+    return this.groupSkills(items);
   }
 
   /**
-   * Extract technical and soft skills
+   * Grouped skills for a set of canonical IDs, in taxonomy order
    */
-  extractSkills(normalizedText) {
-    const foundSkills = {
-      technical: [],
-      tools: [],
-      other: []
+  skillsFromIds(ids) {
+    return this.groupSkills(skillTaxonomy.skills
+      .filter(skill => ids.has(skill.id))
+      .map(skill => ({ id: skill.id, name: skill.name, category: skill.category })));
+  }
+
+  /**
+   * Group canonical skill entries into the display buckets
+   */
+  groupSkills(items) {
+    const namesIn = (...categories) => items
+      .filter(skill => categories.includes(skill.category))
+      .map(skill => skill.name);
+
+    return {
+      items,
+      technical: namesIn('language', 'framework', 'database', 'cloud'),
+      tools: namesIn('tool'),
+      other: namesIn('methodology', 'soft skill')
     };
+  }
+
+  /**
+   * Determine seniority from evidence: the latest titles, years in the primary
+   * role type and scope statements such as "managed 6 engineers".
+   * @returns {Object} { level, confidence (0-1), evidence: [{ signal, level, weight, text }] }
+   * Evidence lists every signal considered, including ones that were outvoted.
+   */
+  determineSeniority(positions, experienceByRole, primaryRole, totalYears) {
+    const evidence = [];
+    const recent = this.sortByRecency(positions).slice(0, 2);
 
-    for (const skill of this.technicalSkills) {
-      // Use word boundary matching to avoid partial matches
-      const regex = new RegExp(`\\b${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-      if (regex.test(normalizedText)) {
-        foundSkills.technical.push(this.capitalizeTitle(skill));
+    recent.forEach((position, index) => {
+      const level = this.titleSeniority(position.title);
+      if (level) {
+        evidence.push({
+          signal: 'title',
+          level,
+          weight: index === 0 ? this.seniorityWeights.latestTitle : this.seniorityWeights.previousTitle,
+          text: position.header || position.title
+        });
       }
+
+      for (const bullet of position.bullets) {
+        const scope = this.scopeSignals.find(s => s.pattern.test(bullet));
+        if (scope) {
+          evidence.push({ signal: 'scope', level: scope.level, weight: this.seniorityWeights.scope, text: bullet });
+        }
+      }
+    });
+
+    const typeExperience = experienceByRole[primaryRole.type];
+    const years = typeExperience ? typeExperience.years : totalYears;
+    const yearsEstimated = typeExperience ? typeExperience.estimated : true;
+    evidence.push({
+      signal: 'years',
+      level: years < 2 ? 'entry' : years < 5 ? 'mid' : 'senior',
+      weight: yearsEstimated ? this.seniorityWeights.estimatedYears : this.seniorityWeights.years,
+      text: `${years} years${typeExperience ? ` in ${primaryRole.type}` : ' in total'}${yearsEstimated ? ' (estimated)' : ''}`
+    });
+
+    const totals = {};
+    for (const item of evidence) {
+      totals[item.level] = (totals[item.level] || 0) + item.weight;
     }
 
-    // Remove duplicates
-    foundSkills.technical = [...new Set(foundSkills.technical)];
+    const [level, levelWeight] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+    const totalWeight = evidence.reduce((sum, item) => sum + item.weight, 0);
+
+    // Agreement between signals, scaled down when there is little evidence overall
+    const confidence = (levelWeight / totalWeight) * Math.min(1, totalWeight / 4);
 
-    return foundSkills;
+    return {
+      level,
+      confidence: Math.round(confidence * 100) / 100,
+      evidence
+    };
   }
 
   /**
-   * Determine seniority level based on resume content
+   * Seniority level implied by a job title, or null if it names none.
+   * A title on a family's ladder ("Staff Accountant", "Associate Professor")
+   * takes that rung unless a seniority word outside it says otherwise; a
+   * mid-level base title ("Marketing Manager") names no level at all.
    */
-  determineSeniorityLevel(normalizedText, experienceByRole) {
-    const totalYears = this.calculateTotalExperience(experienceByRole);
+  titleSeniority(title) {
+    const rung = roleTaxonomy.ladderRung(title);
+    const normalized = (rung ? title.replace(rung.phrase, ' ') : title).toLowerCase();
 
-    // Check for explicit indicators
     for (const [level, indicators] of Object.entries(this.seniorityIndicators)) {
-      for (const indicator of indicators) {
-        if (normalizedText.includes(indicator)) {
-          return level;
-        }
-      }
+      const found = indicators.some(indicator => {
+        // Pack indicators are plain text and may end in symbols ("Sr.")
+        const escaped = indicator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const regex = new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'i');
+        if (!regex.test(normalized)) return false;
+        // "Product Manager" is a discipline, not a people-management level
+        return level !== 'manager' || !this.individualManagerTitles.some(t => normalized.includes(t));
+      });
+      if (found) return level;
     }
 
-    // Fall back to years of experience
-    if (totalYears <= 2) return 'entry';
-    if (totalYears <= 5) return 'mid';
-    if (totalYears <= 10) return 'senior';
-    return 'manager';
+    return rung && rung.level !== 'mid' ? rung.level : null;
   }
 
   /**
-   * Extract education information
+   * Extract degrees from the Education section, or from lines naming a
+   * degree and a school or year when there is no such section
    */
-  extractEducation(normalizedText) {
-    const degrees = [];
-    const degreePatterns = [
-      /\b(bachelor'?s?|b\.?s\.?|b\.?a\.?)\b.*?(computer science|engineering|business|design|mathematics|physics)/gi,
-      /\b(master'?s?|m\.?s\.?|m\.?a\.?|mba)\b.*?(computer science|engineering|business|design|data science)/gi,
-      /\b(ph\.?d\.?|doctorate)\b.*?(computer science|engineering)/gi
-    ];
-
-    for (const pattern of degreePatterns) {
-      const matches = normalizedText.match(pattern);
-      if (matches) {
-        degrees.push(...matches.map(m => m.trim()));
-      }
+  extractEducation(text, sections) {
+    if (sections.education?.length > 0) {
+      return educationExtractor.extractEducation(sections.education);
     }
+    return educationExtractor.extractEducation(text.split('\n').map(line => line.trim()).filter(Boolean), false);
+  }
 
-    return [...new Set(degrees)];
+  /**
+   * Extract certifications from the Certifications section, plus well-known
+   * ones mentioned elsewhere in the resume
+   */
+  extractCertifications(sections) {
+    const otherLines = Object.entries(sections)
+      .filter(([name]) => name !== 'certifications' && name !== 'education')
+      .flatMap(([, lines]) => lines);
+    return educationExtractor.extractCertifications(sections.certifications || [], otherLines);
   }
 
   /**
    * Determine the primary/target role
    */
-  determinePrimaryRole(roles, experienceByRole) {
-    if (roles.length === 0) {
+  determinePrimaryRole(positions, experienceByRole) {
+    if (positions.length === 0) {
       return { type: 'General', title: 'Professional' };
     }
 
@@ -426,15 +1266,18 @@ class ResumeParser {
     let maxYears = 0;
     let primaryType = 'General';
 
+    // On a tie a discipline beats Management, so a Marketing Manager stays in Marketing
     for (const [type, data] of Object.entries(experienceByRole)) {
-      if (data.years > maxYears) {
+      const tieBreak = data.years === maxYears && roleTaxonomy.isLeadership(primaryType) && !roleTaxonomy.isLeadership(type);
+      if (data.years > maxYears || tieBreak) {
         maxYears = data.years;
         primaryType = type;
       }
     }
 
-    // Get the most recent/senior role of that type
-    const recentRole = roles[0]; // Assuming most recent is first
+    // Prefer the most recent position of that type
+    const byRecency = this.sortByRecency(positions);
+    const recentRole = byRecency.find(p => this.roleTypesOf(p.title).includes(primaryType)) || byRecency[0];
 
     return {
       type: primaryType,
@@ -443,6 +1286,18 @@ class ResumeParser {
     };
   }
 
+  /**
+   * Order positions newest first: current roles, then by end and start date.
+   * Undated positions keep their resume order after the dated ones.
+   */
+  sortByRecency(positions) {
+    return [...positions].sort((a, b) => {
+      if (a.current !== b.current) return a.current ? -1 : 1;
+      if (!a.endDate || !b.endDate) return (a.endDate ? -1 : 0) + (b.endDate ? 1 : 0);
+      return b.endDate.localeCompare(a.endDate) || b.startDate.localeCompare(a.startDate);
+    });
+  }
+
   /**
    * Extract important keywords for matching
    */
@@ -0,0 +1,552 @@
+const taxonomyPacks = require('./taxonomyPacks');
+
+/**
+ * Role Taxonomy Service
+ * One entry per role family (Engineering, Sales, Healthcare, ...) shared by
+ * the parser, job search and matcher. Each family lists:
+ * - titles: words and phrases that place a job title in the family
+ * - related: looser words for postings in the family's neighbourhood
+ * - nouns: words that mark a resume line as a job title
+ * - ladder: base titles at each seniority level (entry, mid, senior, manager)
+ * - searchTitles, mockJobs and responsibilities for job search
+ *
+ * Leadership families (Management) sit on top of another discipline, so
+ * "Marketing Manager" belongs to both Marketing and Management.
+ */
+
+class RoleTaxonomy {
+  constructor() {
+    this.levels = ['entry', 'mid', 'senior', 'manager'];
+
+    this.families = [
+      {
+        type: 'Engineering',
+        titles: ['engineer', 'developer', 'programmer', 'architect', 'devops', 'sre', 'site reliability'],
+        related: ['technical', 'software', 'platform', 'infrastructure', 'qa', 'test'],
+        nouns: [],
+        ladder: {
+          entry: ['graduate engineer', 'apprentice developer'],
+          mid: [],
+          senior: ['staff engineer', 'principal engineer', 'software architect', 'solutions architect'],
+          manager: ['engineering manager', 'director of engineering', 'head of engineering', 'vp of engineering', 'cto']
+        },
+        searchTitles: ['Software Engineer', 'Developer', 'Full Stack Engineer'],
+        responsibilities: [
+          'Design and implement scalable solutions',
+          'Collaborate with cross-functional teams',
+          'Write clean, maintainable code',
+          'Participate in code reviews',
+          'Mentor junior team members',
+          'Drive technical decisions',
+          'Optimize application performance',
+          'Work with stakeholders to define requirements'
+        ],
+        mockJobs: [
+          { title: 'Software Engineer', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Apple', 'Netflix', 'Stripe', 'Airbnb'] },
+          { title: 'Senior Software Engineer', companies: ['Uber', 'Lyft', 'DoorDash', 'Instacart', 'Coinbase', 'Robinhood'] },
+          { title: 'Full Stack Engineer', companies: ['Shopify', 'Square', 'Twilio', 'Datadog', 'MongoDB', 'Elastic'] },
+          { title: 'Frontend Engineer', companies: ['Figma', 'Notion', 'Canva', 'Webflow', 'Vercel', 'Linear'] },
+          { title: 'Backend Engineer', companies: ['Plaid', 'Ramp', 'Brex', 'Scale AI', 'Anthropic', 'OpenAI'] },
+          { title: 'Junior Software Engineer', companies: ['Atlassian', 'Asana', 'Monday.com', 'Airtable', 'Retool'] },
+          { title: 'Staff Engineer', companies: ['Google', 'Meta', 'Amazon', 'Stripe', 'Databricks'] }
+        ]
+      },
+      {
+        type: 'Product',
+        titles: ['product manager', 'product owner', 'program manager', 'product lead', 'head of product',
+          'director of product', 'vp of product', 'chief product officer'],
+        related: ['product', 'program', 'project'],
+        nouns: [],
+        ladder: {
+          entry: ['associate product manager', 'apm', 'product analyst'],
+          mid: ['product manager', 'product owner', 'program manager', 'technical program manager'],
+          senior: ['group product manager', 'principal product manager', 'product lead'],
+          manager: ['director of product', 'head of product', 'vp of product', 'chief product officer', 'cpo']
+        },
+        searchTitles: ['Product Manager', 'Program Manager', 'Product Owner'],
+        responsibilities: [
+          'Own the product roadmap and prioritize the backlog',
+          'Collaborate with engineering and design on delivery',
+          'Talk to customers and turn their needs into requirements',
+          'Define success metrics and track outcomes',
+          'Align stakeholders on product strategy'
+        ],
+        mockJobs: [
+          { title: 'Product Manager', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Salesforce', 'Adobe'] },
+          { title: 'Senior Product Manager', companies: ['Uber', 'Airbnb', 'DoorDash', 'Instacart', 'Coinbase'] },
+          { title: 'Associate Product Manager', companies: ['Google', 'Meta', 'Microsoft', 'LinkedIn', 'Twitter'] },
+          { title: 'Technical Program Manager', companies: ['Amazon', 'Google', 'Apple', 'Meta', 'Netflix'] },
+          { title: 'Product Owner', companies: ['Spotify', 'Slack', 'Zoom', 'DocuSign', 'ServiceNow'] },
+          { title: 'Group Product Manager', companies: ['Stripe', 'Square', 'Plaid', 'Brex', 'Ramp'] }
+        ]
+      },
+      {
+        type: 'Design',
+        titles: ['designer', 'ux', 'ui', 'user experience', 'user researcher', 'design lead', 'design manager',
+          'head of design', 'design director'],
+        related: ['design', 'creative', 'visual', 'brand'],
+        nouns: [],
+        ladder: {
+          entry: ['design intern', 'junior designer'],
+          mid: ['product designer', 'ux designer', 'ui designer', 'visual designer', 'interaction designer'],
+          senior: ['design lead', 'principal designer', 'staff designer'],
+          manager: ['design manager', 'head of design', 'design director', 'vp of design']
+        },
+        searchTitles: ['Product Designer', 'UX Designer', 'UI Designer'],
+        responsibilities: [
+          'Design end-to-end user flows and interfaces',
+          'Run user research and usability testing',
+          'Build and maintain the design system',
+          'Partner with product and engineering from discovery to launch',
+          'Present design decisions to stakeholders'
+        ],
+        mockJobs: [
+          { title: 'Product Designer', companies: ['Apple', 'Google', 'Airbnb', 'Figma', 'Notion', 'Linear'] },
+          { title: 'Senior Product Designer', companies: ['Meta', 'Stripe', 'Square', 'Coinbase', 'Robinhood'] },
+          { title: 'UX Designer', companies: ['Microsoft', 'Amazon', 'Salesforce', 'Adobe', 'Intuit'] },
+          { title: 'UI Designer', companies: ['Canva', 'Webflow', 'Framer', 'InVision', 'Sketch'] },
+          { title: 'Design Lead', companies: ['Uber', 'Lyft', 'DoorDash', 'Instacart', 'Pinterest'] },
+          { title: 'Junior Product Designer', companies: ['Spotify', 'Slack', 'Dropbox', 'Asana', 'Notion'] }
+        ]
+      },
+      {
+        type: 'Data',
+        titles: ['data scientist', 'data analyst', 'data engineer', 'ml engineer', 'machine learning engineer',
+          'analytics', 'business intelligence', 'bi analyst', 'business analyst', 'statistician', 'research scientist',
+          'head of data', 'director of data'],
+        related: ['data', 'analytics', 'analyst', 'ml', 'ai', 'machine learning'],
+        nouns: ['statistician'],
+        ladder: {
+          entry: ['reporting analyst', 'data technician', 'analytics intern'],
+          mid: ['data analyst', 'data scientist', 'data engineer', 'analytics engineer', 'business analyst', 'bi analyst'],
+          senior: ['principal data scientist', 'staff data scientist', 'research scientist'],
+          manager: ['analytics manager', 'data science manager', 'head of data', 'director of data', 'chief data officer']
+        },
+        searchTitles: ['Data Scientist', 'Data Analyst', 'Data Engineer', 'Business Analyst', 'Analyst'],
+        responsibilities: [
+          'Build models and analyses that inform product decisions',
+          'Design and maintain reliable data pipelines',
+          'Define metrics and build dashboards',
+          'Run experiments and communicate results',
+          'Partner with stakeholders to frame analytical questions'
+        ],
+        mockJobs: [
+          { title: 'Data Scientist', companies: ['Google', 'Meta', 'Amazon', 'Netflix', 'Spotify', 'Uber'] },
+          { title: 'Senior Data Scientist', companies: ['Airbnb', 'Lyft', 'DoorDash', 'Instacart', 'Coinbase'] },
+          { title: 'Data Analyst', companies: ['Microsoft', 'Salesforce', 'Adobe', 'Intuit', 'ServiceNow'] },
+          { title: 'Machine Learning Engineer', companies: ['OpenAI', 'Anthropic', 'DeepMind', 'Scale AI', 'Databricks'] },
+          { title: 'Data Engineer', companies: ['Snowflake', 'Databricks', 'dbt Labs', 'Fivetran', 'Airbyte'] },
+          { title: 'Analytics Engineer', companies: ['Stripe', 'Square', 'Plaid', 'Brex', 'Ramp'] }
+        ]
+      },
+      {
+        type: 'Marketing',
+        titles: ['marketing', 'marketer', 'brand manager', 'brand strategist', 'content strategist', 'content writer',
+          'copywriter', 'seo', 'sem', 'social media', 'communications', 'public relations', 'demand generation',
+          'growth marketer', 'campaign manager', 'cmo'],
+        related: ['brand', 'content', 'growth', 'campaign', 'digital', 'communications', 'media', 'marketing'],
+        nouns: ['marketer', 'copywriter', 'content writer'],
+        ladder: {
+          entry: ['marketing coordinator', 'marketing assistant', 'marketing associate', 'social media coordinator'],
+          mid: ['marketing specialist', 'marketing manager', 'digital marketing manager', 'content strategist',
+            'seo specialist', 'brand manager', 'product marketing manager', 'copywriter'],
+          senior: ['group marketing manager', 'marketing lead', 'principal product marketing manager'],
+          manager: ['director of marketing', 'marketing director', 'head of marketing', 'vp of marketing',
+            'chief marketing officer', 'cmo']
+        },
+        searchTitles: ['Marketing Manager', 'Digital Marketing Specialist', 'Content Marketing Manager', 'Growth Marketing Manager'],
+        responsibilities: [
+          'Plan and run multi-channel marketing campaigns',
+          'Own messaging and positioning for key products',
+          'Grow pipeline through content, SEO and paid channels',
+          'Report on campaign performance and budget',
+          'Collaborate with sales and product on launches'
+        ],
+        mockJobs: [
+          { title: 'Marketing Manager', companies: ['HubSpot', 'Mailchimp', 'Canva', 'Shopify', 'Spotify'] },
+          { title: 'Digital Marketing Specialist', companies: ['Semrush', 'Hootsuite', 'Sprout Social', 'Buffer', 'Later'] },
+          { title: 'Content Marketing Manager', companies: ['Notion', 'Webflow', 'Grammarly', 'Zapier', 'Loom'] },
+          { title: 'Marketing Coordinator', companies: ['Nike', 'Airbnb', 'Etsy', 'Peloton', 'Glossier'] },
+          { title: 'Product Marketing Manager', companies: ['Salesforce', 'Adobe', 'Atlassian', 'Figma', 'Asana'] },
+          { title: 'Director of Marketing', companies: ['Stripe', 'Ramp', 'Brex', 'Gusto', 'Rippling'] }
+        ]
+      },
+      {
+        type: 'Sales',
+        titles: ['sales', 'account executive', 'business development', 'sdr', 'bdr', 'territory manager',
+          'account director', 'chief revenue officer'],
+        related: ['revenue', 'account', 'quota', 'partnerships', 'business development', 'sales'],
+        nouns: ['salesperson', 'seller'],
+        ladder: {
+          entry: ['sales development representative', 'business development representative', 'sdr', 'bdr',
+            'sales associate', 'inside sales representative'],
+          mid: ['account executive', 'sales representative', 'sales executive', 'territory manager',
+            'business development manager'],
+          senior: ['enterprise account executive', 'strategic account executive', 'key account manager', 'sales lead'],
+          manager: ['sales manager', 'sales director', 'director of sales', 'head of sales', 'vp of sales',
+            'chief revenue officer', 'cro']
+        },
+        searchTitles: ['Account Executive', 'Sales Manager', 'Business Development Representative', 'Sales Development Representative'],
+        responsibilities: [
+          'Own a sales territory and hit quarterly quota',
+          'Prospect, qualify and close new business',
+          'Run discovery calls and product demos',
+          'Forecast pipeline accurately in the CRM',
+          'Partner with customer success on renewals and expansion'
+        ],
+        mockJobs: [
+          { title: 'Account Executive', companies: ['Salesforce', 'HubSpot', 'Zoom', 'Gong', 'Outreach', 'DocuSign'] },
+          { title: 'Sales Development Representative', companies: ['Snowflake', 'Datadog', 'MongoDB', 'Okta', 'Twilio'] },
+          { title: 'Enterprise Account Executive', companies: ['Oracle', 'ServiceNow', 'Workday', 'Databricks', 'Palantir'] },
+          { title: 'Sales Manager', companies: ['ADP', 'Paychex', 'Gusto', 'Toast', 'Square'] },
+          { title: 'Business Development Manager', companies: ['Stripe', 'Plaid', 'Brex', 'Ramp', 'Mercury'] }
+        ]
+      },
+      {
+        type: 'Customer Success',
+        titles: ['customer success', 'customer support', 'customer service', 'customer experience', 'account manager',
+          'client services', 'client success', 'technical support', 'support specialist', 'help desk',
+          'implementation specialist', 'implementation manager', 'head of support', 'support manager'],
+        related: ['customer', 'support', 'client', 'onboarding', 'retention', 'renewals'],
+        nouns: ['agent'],
+        ladder: {
+          entry: ['customer service representative', 'customer support representative', 'support agent',
+            'customer service agent', 'help desk technician', 'customer support associate'],
+          mid: ['customer success manager', 'account manager', 'support specialist', 'customer support specialist',
+            'implementation specialist', 'implementation manager', 'technical support engineer'],
+          senior: ['enterprise customer success manager', 'strategic account manager', 'support team lead'],
+          manager: ['director of customer success', 'head of customer success', 'vp of customer success',
+            'head of support', 'support manager', 'customer service manager', 'customer success director']
+        },
+        searchTitles: ['Customer Success Manager', 'Account Manager', 'Customer Support Specialist', 'Implementation Specialist'],
+        responsibilities: [
+          'Own a portfolio of customer accounts from onboarding to renewal',
+          'Drive adoption and measure customer health',
+          'Resolve escalations with support and engineering',
+          'Identify expansion opportunities with sales',
+          'Turn customer feedback into product input'
+        ],
+        mockJobs: [
+          { title: 'Customer Success Manager', companies: ['Gainsight', 'Zendesk', 'Intercom', 'HubSpot', 'Asana'] },
+          { title: 'Account Manager', companies: ['Google', 'LinkedIn', 'Yelp', 'Indeed', 'Glassdoor'] },
+          { title: 'Customer Support Specialist', companies: ['Shopify', 'Airbnb', 'Stripe', 'Squarespace', 'Wix'] },
+          { title: 'Implementation Specialist', companies: ['Workday', 'Rippling', 'Gusto', 'Toast', 'Procore'] },
+          { title: 'Director of Customer Success', companies: ['Salesforce', 'Snowflake', 'Datadog', 'Okta', 'Twilio'] }
+        ]
+      },
+      {
+        type: 'Operations',
+        titles: ['operations', 'project manager', 'project coordinator', 'supply chain', 'logistics', 'procurement',
+          'office manager', 'facilities', 'warehouse', 'buyer', 'planner', 'dispatcher', 'chief of staff',
+          'chief operating officer', 'coo', 'general manager'],
+        related: ['operations', 'process', 'logistics', 'supply', 'vendor', 'project', 'fulfillment'],
+        nouns: ['buyer', 'planner', 'dispatcher', 'supervisor', 'clerk', 'chief of staff'],
+        ladder: {
+          entry: ['operations coordinator', 'operations assistant', 'project coordinator', 'logistics coordinator',
+            'warehouse associate', 'office assistant'],
+          mid: ['operations analyst', 'operations specialist', 'project manager', 'buyer', 'planner', 'office manager',
+            'supply chain analyst'],
+          senior: ['operations lead', 'project lead', 'operations supervisor', 'chief of staff'],
+          manager: ['operations manager', 'director of operations', 'head of operations', 'vp of operations',
+            'chief operating officer', 'coo', 'general manager']
+        },
+        searchTitles: ['Operations Manager', 'Project Manager', 'Operations Analyst', 'Business Operations Manager'],
+        responsibilities: [
+          'Run day-to-day operations and improve core processes',
+          'Plan projects and keep delivery on schedule and budget',
+          'Manage vendors, contracts and procurement',
+          'Build reporting on operational metrics',
+          'Coordinate across finance, sales and product teams'
+        ],
+        mockJobs: [
+          { title: 'Operations Manager', companies: ['Amazon', 'FedEx', 'UPS', 'Target', 'Walmart'] },
+          { title: 'Project Manager', companies: ['Accenture', 'Deloitte', 'Bechtel', 'Jacobs', 'AECOM'] },
+          { title: 'Operations Analyst', companies: ['Uber', 'DoorDash', 'Instacart', 'Lyft', 'Gopuff'] },
+          { title: 'Supply Chain Analyst', companies: ['Apple', 'Tesla', 'Nike', 'PepsiCo', 'Unilever'] },
+          { title: 'Business Operations Manager', companies: ['Stripe', 'Notion', 'Figma', 'Airtable', 'Canva'] }
+        ]
+      },
+      {
+        type: 'Finance',
+        titles: ['finance', 'financial', 'accountant', 'accounting', 'controller', 'bookkeeper', 'auditor', 'audit',
+          'tax', 'treasury', 'treasurer', 'fp&a', 'payroll', 'accounts payable', 'accounts receivable', 'actuary',
+          'underwriter', 'investment', 'cfo'],
+        related: ['finance', 'financial', 'accounting', 'budget', 'audit', 'investment', 'tax'],
+        nouns: ['controller', 'bookkeeper', 'auditor', 'actuary', 'underwriter', 'treasurer'],
+        ladder: {
+          entry: ['staff accountant', 'accounting assistant', 'accounts payable clerk', 'bookkeeper',
+            'finance associate', 'audit associate'],
+          mid: ['accountant', 'financial analyst', 'fp&a analyst', 'tax accountant', 'auditor', 'payroll specialist'],
+          senior: ['assistant controller', 'finance business partner', 'lead auditor', 'audit senior'],
+          manager: ['controller', 'finance manager', 'accounting manager', 'director of finance', 'finance director',
+            'head of finance', 'vp of finance', 'chief financial officer', 'cfo', 'treasurer']
+        },
+        searchTitles: ['Financial Analyst', 'Accountant', 'FP&A Analyst', 'Finance Manager'],
+        responsibilities: [
+          'Own the monthly close and account reconciliations',
+          'Build budgets, forecasts and financial models',
+          'Prepare reporting for leadership and auditors',
+          'Improve financial controls and processes',
+          'Partner with business teams on spend and planning'
+        ],
+        mockJobs: [
+          { title: 'Financial Analyst', companies: ['JPMorgan Chase', 'Goldman Sachs', 'Morgan Stanley', 'Fidelity', 'Vanguard'] },
+          { title: 'Accountant', companies: ['Deloitte', 'PwC', 'EY', 'KPMG', 'Grant Thornton'] },
+          { title: 'Staff Accountant', companies: ['Intuit', 'Square', 'Stripe', 'Robinhood', 'Chime'] },
+          { title: 'FP&A Analyst', companies: ['Netflix', 'Spotify', 'Airbnb', 'Uber', 'Lyft'] },
+          { title: 'Finance Manager', companies: ['Amazon', 'Microsoft', 'Google', 'Apple', 'Meta'] },
+          { title: 'Controller', companies: ['Brex', 'Ramp', 'Mercury', 'Plaid', 'Gusto'] }
+        ]
+      },
+      {
+        type: 'HR',
+        titles: ['human resources', 'hr', 'recruiter', 'recruiting', 'talent acquisition', 'talent partner',
+          'people operations', 'people partner', 'hrbp', 'sourcer', 'compensation', 'benefits',
+          'learning and development', 'head of people', 'chief people officer', 'chro'],
+        related: ['people', 'talent', 'recruiting', 'hiring', 'hr', 'employee'],
+        nouns: ['sourcer', 'generalist', 'hrbp'],
+        ladder: {
+          entry: ['hr assistant', 'hr coordinator', 'recruiting coordinator', 'people operations coordinator'],
+          mid: ['hr generalist', 'recruiter', 'talent acquisition specialist', 'hr specialist', 'sourcer',
+            'people operations specialist'],
+          senior: ['hr business partner', 'hrbp', 'lead recruiter', 'talent partner'],
+          manager: ['hr manager', 'recruiting manager', 'talent acquisition manager', 'head of people',
+            'director of people', 'hr director', 'vp of people', 'chief people officer', 'chro']
+        },
+        searchTitles: ['HR Generalist', 'Recruiter', 'Talent Acquisition Specialist', 'HR Business Partner'],
+        responsibilities: [
+          'Run full-cycle recruiting for open roles',
+          'Advise managers on performance, policy and employee relations',
+          'Administer compensation, benefits and HR systems',
+          'Improve onboarding and employee experience',
+          'Keep people processes compliant with employment law'
+        ],
+        mockJobs: [
+          { title: 'HR Generalist', companies: ['Gusto', 'Rippling', 'BambooHR', 'Workday', 'ADP'] },
+          { title: 'Recruiter', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'LinkedIn'] },
+          { title: 'Talent Acquisition Specialist', companies: ['Airbnb', 'Stripe', 'Shopify', 'Atlassian', 'Canva'] },
+          { title: 'HR Business Partner', companies: ['Salesforce', 'Adobe', 'Intuit', 'ServiceNow', 'Oracle'] },
+          { title: 'People Operations Coordinator', companies: ['Notion', 'Figma', 'Linear', 'Vercel', 'Retool'] }
+        ]
+      },
+      {
+        type: 'Healthcare',
+        titles: ['nurse', 'nursing', 'rn', 'lpn', 'cna', 'physician', 'doctor', 'surgeon', 'therapist', 'pharmacist',
+          'pharmacy', 'medical', 'clinical', 'clinician', 'caregiver', 'paramedic', 'emt', 'dental', 'hygienist',
+          'sonographer', 'phlebotomist', 'psychologist', 'dietitian', 'midwife', 'patient care', 'healthcare'],
+        related: ['patient', 'clinical', 'health', 'hospital', 'care', 'medical'],
+        nouns: ['nurse', 'rn', 'lpn', 'cna', 'physician', 'doctor', 'surgeon', 'therapist', 'pharmacist', 'clinician',
+          'caregiver', 'paramedic', 'emt', 'hygienist', 'sonographer', 'phlebotomist', 'psychologist', 'dietitian',
+          'midwife', 'technologist', 'medical assistant'],
+        ladder: {
+          entry: ['certified nursing assistant', 'nursing assistant', 'cna', 'medical assistant', 'patient care technician',
+            'pharmacy technician', 'caregiver', 'phlebotomist'],
+          mid: ['registered nurse', 'rn', 'licensed practical nurse', 'lpn', 'physical therapist', 'occupational therapist',
+            'respiratory therapist', 'pharmacist', 'medical technologist', 'dental hygienist'],
+          senior: ['nurse practitioner', 'charge nurse', 'clinical nurse specialist', 'physician assistant', 'physician',
+            'surgeon', 'clinical specialist'],
+          manager: ['nurse manager', 'head nurse', 'director of nursing', 'chief nursing officer', 'clinical director',
+            'medical director', 'practice manager']
+        },
+        searchTitles: ['Registered Nurse', 'Nurse Practitioner', 'Medical Assistant', 'Clinical Coordinator'],
+        responsibilities: [
+          'Deliver safe, high-quality patient care',
+          'Assess patients and carry out care plans',
+          'Document care accurately in the EHR',
+          'Work with physicians and the wider care team',
+          'Educate patients and families'
+        ],
+        mockJobs: [
+          { title: 'Registered Nurse', companies: ['Kaiser Permanente', 'Mayo Clinic', 'Cleveland Clinic', 'HCA Healthcare', 'Johns Hopkins Medicine'] },
+          { title: 'Nurse Practitioner', companies: ['One Medical', 'CVS Health', 'Oak Street Health', 'Carbon Health', 'Forward'] },
+          { title: 'Medical Assistant', companies: ['Sutter Health', 'Providence', 'Intermountain Health', 'Banner Health', 'Atrium Health'] },
+          { title: 'Physical Therapist', companies: ['Athletico', 'ATI Physical Therapy', 'Select Medical', 'Hinge Health', 'Sword Health'] },
+          { title: 'Clinical Coordinator', companies: ['Stanford Health Care', 'UCSF Health', 'Mass General Brigham', 'NYU Langone', 'Cedars-Sinai'] },
+          { title: 'Nurse Manager', companies: ['Kaiser Permanente', 'Mayo Clinic', 'HCA Healthcare', 'Providence', 'CommonSpirit Health'] }
+        ]
+      },
+      {
+        type: 'Education',
+        titles: ['teacher', 'teaching', 'professor', 'lecturer', 'instructor', 'tutor', 'educator', 'faculty',
+          'curriculum', 'instructional', 'school', 'assistant principal', 'dean', 'superintendent', 'counselor',
+          'librarian', 'paraprofessional'],
+        related: ['education', 'teaching', 'learning', 'students', 'classroom', 'curriculum', 'training'],
+        nouns: ['teacher', 'professor', 'lecturer', 'instructor', 'tutor', 'educator', 'dean', 'superintendent',
+          'counselor', 'librarian', 'paraprofessional'],
+        ladder: {
+          entry: ['teaching assistant', 'student teacher', 'substitute teacher', 'teacher aide', 'paraprofessional', 'tutor'],
+          mid: ['teacher', 'instructor', 'lecturer', 'assistant professor', 'instructional designer', 'school counselor',
+            'curriculum specialist'],
+          senior: ['lead teacher', 'associate professor', 'professor', 'senior lecturer', 'department chair',
+            'head of department', 'instructional coach'],
+          manager: ['assistant principal', 'school principal', 'principal', 'head teacher', 'head of school', 'dean',
+            'superintendent', 'director of education']
+        },
+        searchTitles: ['Teacher', 'Instructional Designer', 'Curriculum Specialist', 'Tutor'],
+        responsibilities: [
+          'Plan and deliver engaging lessons',
+          'Assess student progress and adapt instruction',
+          'Develop curriculum and learning materials',
+          'Communicate with families and colleagues',
+          'Support a safe and inclusive learning environment'
+        ],
+        mockJobs: [
+          { title: 'Teacher', companies: ['KIPP', 'Success Academy', 'Teach For America', 'Uncommon Schools', 'Achievement First'] },
+          { title: 'Instructional Designer', companies: ['Coursera', 'Khan Academy', 'Duolingo', '2U', 'edX'] },
+          { title: 'Tutor', companies: ['Varsity Tutors', 'Chegg', 'Wyzant', 'Outschool', 'Kaplan'] },
+          { title: 'Curriculum Specialist', companies: ['Pearson', 'McGraw Hill', 'Amplify', 'Newsela', 'Houghton Mifflin Harcourt'] },
+          { title: 'Assistant Principal', companies: ['KIPP', 'IDEA Public Schools', 'Success Academy', 'Uncommon Schools', 'Great Hearts Academies'] }
+        ]
+      },
+      {
+        type: 'Management',
+        leadership: true,
+        titles: ['manager', 'director', 'lead', 'leader', 'head of', 'vp', 'vice president', 'chief', 'supervisor',
+          'cto', 'ceo', 'cfo', 'coo'],
+        related: ['manager', 'lead', 'director', 'head'],
+        nouns: [],
+        ladder: {
+          entry: [],
+          mid: [],
+          senior: ['team lead', 'tech lead', 'technical lead'],
+          manager: ['general manager', 'managing director', 'ceo', 'chief executive officer', 'founder']
+        },
+        searchTitles: ['Engineering Manager', 'Technical Lead', 'Team Lead'],
+        responsibilities: [
+          'Lead and grow a high-performing team',
+          'Set goals and priorities with senior leadership',
+          'Hire, coach and develop team members',
+          'Own delivery, budget and headcount planning',
+          'Drive cross-functional decisions'
+        ],
+        mockJobs: [
+          { title: 'Engineering Manager', companies: ['Google', 'Meta', 'Amazon', 'Microsoft', 'Apple'] },
+          { title: 'Senior Engineering Manager', companies: ['Uber', 'Airbnb', 'Stripe', 'Square', 'Coinbase'] },
+          { title: 'Technical Lead', companies: ['Netflix', 'Spotify', 'Slack', 'Dropbox', 'Notion'] },
+          { title: 'Director of Engineering', companies: ['DoorDash', 'Instacart', 'Lyft', 'Robinhood', 'Plaid'] },
+          { title: 'VP of Engineering', companies: ['Stripe', 'Databricks', 'Figma', 'Notion', 'Linear'] }
+        ]
+      }
+    ];
+
+    // Role families added or extended by taxonomy packs
+    this.families = taxonomyPacks.extendList('roles', this.families, 'type', {
+      related: [], nouns: [], ladder: {}, searchTitles: [], responsibilities: [], mockJobs: []
+    });
+
+    this.compile();
+  }
+
+  /**
+   * Build lookup tables and match patterns for every family
+   */
+  compile() {
+    this.byType = new Map();
+
+    for (const family of this.families) {
+      this.byType.set(family.type, family);
+      family.titlePattern = this.buildPattern(family.titles);
+      family.relatedPattern = this.buildPattern([...family.titles, ...family.related]);
+      family.rungs = this.levels.flatMap(level =>
+        (family.ladder[level] || []).map(phrase => ({ level, phrase, pattern: this.buildPattern([phrase]) })));
+    }
+  }
+
+  /**
+   * Whole-word regex for a list of terms; a plural or "-ing"/"-er" ending
+   * still matches, so "engineer" covers "Engineering" and "lead" "Leader"
+   */
+  buildPattern(terms) {
+    const unique = [...new Set(terms.filter(Boolean).map(term => term.toLowerCase()))];
+    if (unique.length === 0) return null;
+
+    const escaped = unique
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+    return new RegExp(`(?<![\\w&])(?:${escaped.join('|')})(?:s|es|er|ing)?(?![\\w&])`, 'i');
+  }
+
+  /**
+   * All family names, in taxonomy order
+   */
+  types() {
+    return this.families.map(family => family.type);
+  }
+
+  /**
+   * Get a family by type name
+   */
+  get(type) {
+    return this.byType.get(type) || null;
+  }
+
+  /**
+   * Whether a family only layers on top of another discipline
+   */
+  isLeadership(type) {
+    return Boolean(this.get(type)?.leadership);
+  }
+
+  /**
+   * Families a job title belongs to
+   */
+  typesOf(title) {
+    return this.families
+      .filter(family => family.titlePattern?.test(title || ''))
+      .map(family => family.type);
+  }
+
+  /**
+   * Families a job title belongs to, leaving out leadership families unless
+   * they are all it matches
+   */
+  disciplinesOf(title) {
+    const types = this.typesOf(title);
+    const disciplines = types.filter(type => !this.isLeadership(type));
+    return disciplines.length > 0 ? disciplines : types;
+  }
+
+  /**
+   * Whether two titles share a discipline family
+   */
+  sameFamily(titleA, titleB) {
+    const typesB = this.typesOf(titleB).filter(type => !this.isLeadership(type));
+    return this.typesOf(titleA).some(type => typesB.includes(type));
+  }
+
+  /**
+   * Whether a title is in or near a family, using its looser related words
+   */
+  isRelated(title, type) {
+    return Boolean(this.get(type)?.relatedPattern?.test(title || ''));
+  }
+
+  /**
+   * The longest ladder title found in a job title, from the families it belongs to
+   * @returns {Object|null} { level, phrase, type }
+   */
+  ladderRung(title) {
+    let best = null;
+
+    for (const type of this.typesOf(title)) {
+      for (const rung of this.get(type).rungs) {
+        const match = (title || '').match(rung.pattern);
+        if (match && (!best || match[0].length > best.phrase.length)) {
+          best = { level: rung.level, phrase: match[0], type };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Words from every family that mark a line as a job title
+   */
+  titleNouns() {
+    return [...new Set(this.families.flatMap(family => family.nouns))];
+  }
+}
+
+module.exports = new RoleTaxonomy();
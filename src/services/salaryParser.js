@@ -0,0 +1,210 @@
+/**
+ * Salary Parser Service
+ * Turns the salary fields job boards return (free-form text, min/max
+ * numbers or schema.org MonetaryAmount objects) into one structure:
+ * { min, max, currency, period, estimated, text }
+ *
+ * min and max are annual amounts, whatever the period of the source
+ * figures; period is the source's period and text the original wording.
+ */
+
+class SalaryParser {
+  constructor() {
+    // Paid periods in a year, for converting to annual amounts
+    this.periodsPerYear = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+    this.periodPatterns = [
+      { period: 'hour', pattern: /\b(per hour|an hour|hourly|hour|hr)\b|\/\s*h(ou)?r?\b/i },
+      { period: 'day', pattern: /\b(per day|a day|daily|day)\b|\/\s*day\b/i },
+      { period: 'week', pattern: /\b(per week|a week|weekly|week|wk)\b|\/\s*w(ee)?k\b/i },
+      { period: 'month', pattern: /\b(per month|a month|monthly|month|mo|pcm)\b|\/\s*mo(nth)?\b/i },
+      { period: 'year', pattern: /\b(per year|a year|yearly|annual(ly)?|annum|year|yr|p\.?a\.?)\b|\/\s*y(ea)?r\b/i }
+    ];
+
+    // Period names used by the job APIs (JSearch "HOUR", schema.org "MONTH")
+    this.periodNames = { hour: 'hour', hourly: 'hour', day: 'day', daily: 'day', week: 'week', weekly: 'week',
+      month: 'month', monthly: 'month', year: 'year', yearly: 'year', annual: 'year' };
+
+    // Currency marks, checked in order so "CA$" wins over "$"
+    this.currencySymbols = [
+      ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['S$', 'SGD'],
+      ['R$', 'BRL'], ['MX$', 'MXN'], ['US$', 'USD'], ['$', 'USD'], ['£', 'GBP'], ['€', 'EUR'],
+      ['₹', 'INR'], ['¥', 'JPY'], ['zł', 'PLN']
+    ];
+    this.currencyCodes = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'SGD', 'INR', 'JPY', 'CHF', 'SEK',
+      'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR'];
+
+    // Local currency of the countries the job APIs search
+    this.countryCurrencies = {
+      us: 'USD', gb: 'GBP', ca: 'CAD', au: 'AUD', nz: 'NZD', sg: 'SGD', in: 'INR', za: 'ZAR', br: 'BRL',
+      mx: 'MXN', ch: 'CHF', pl: 'PLN', se: 'SEK', no: 'NOK', dk: 'DKK', jp: 'JPY',
+      at: 'EUR', be: 'EUR', de: 'EUR', es: 'EUR', fi: 'EUR', fr: 'EUR', ie: 'EUR', it: 'EUR', nl: 'EUR', pt: 'EUR'
+    };
+
+    // Hourly rates above this are not plausible, so an unlabeled figure
+    // this small is taken as hourly and larger ones as annual
+    this.maxHourlyRate = 500;
+  }
+
+  /**
+   * Local currency for a country code, or null
+   */
+  currencyOf(countryCode) {
+    return this.countryCurrencies[countryCode] || null;
+  }
+
+  /**
+   * Salary from min/max figures the API already separated
+   * @param {number|string} min
+   * @param {number|string} max
+   * @param {Object} details - { currency, period, estimated, text }
+   * @returns {Object|null} Structured salary, or null without a usable figure
+   */
+  fromRange(min, max, details = {}) {
+    const low = this.amount(min);
+    const high = this.amount(max);
+    if (low === null && high === null) return null;
+
+    const period = this.periodNames[String(details.period || '').toLowerCase()] || this.guessPeriod(Math.max(low ?? 0, high ?? 0));
+    return this.build(low, high, {
+      currency: details.currency || null,
+      period,
+      estimated: Boolean(details.estimated),
+      text: details.text || this.describe(low, high, details.currency, period)
+    });
+  }
+
+  /**
+   * Salary from whatever a board put in its salary field
+   * @param {string|Object} value - Text, or a schema.org MonetaryAmount
+   * @param {Object} defaults - { currency } used when the text names none
+   */
+  parse(value, defaults = {}) {
+    if (!value) return null;
+
+    if (typeof value === 'object') {
+      const amount = value.value && typeof value.value === 'object' ? value.value : value;
+      return this.fromRange(amount.minValue ?? amount.value, amount.maxValue, {
+        currency: value.currency || defaults.currency,
+        period: amount.unitText
+      });
+    }
+
+    const text = String(value).trim();
+    const matches = [...text.matchAll(/(\d[\d,.\s]*\d|\d)\s*([kKmM])?(?![\w])/g)]
+      .map(match => ({ value: this.figure(match[1], match[2]), suffix: match[2] }))
+      .filter(({ value }) => value !== null && value > 0);
+    if (matches.length === 0) return null;
+
+    // "$120-150k": a suffix after the range applies to both figures
+    const [first, second] = matches;
+    const multiplier = second && !first.suffix && second.suffix && this.multiplierOf(second.suffix);
+    if (multiplier && first.value * multiplier <= second.value) first.value *= multiplier;
+    const figures = matches.map(({ value }) => value);
+
+    // A single figure is the salary itself unless it is marked as the
+    // bottom ("From $80,000") or top ("Up to $90,000") of a range
+    let [low, high] = figures.length > 1 ? figures.slice(0, 2) : [figures[0], figures[0]];
+    if (figures.length === 1 && /\b(up to|max(imum)?)\b/i.test(text)) low = null;
+    if (figures.length === 1 && /\b(from|at least|starting|min(imum)?)\b/i.test(text)) high = null;
+    const statedPeriod = this.periodPatterns.find(({ pattern }) => pattern.test(text))?.period;
+
+    return this.build(low, high, {
+      currency: this.findCurrency(text) || defaults.currency || null,
+      period: statedPeriod || this.guessPeriod(Math.max(low ?? 0, high ?? 0)),
+      estimated: /\b(estimated|est\.|predicted)\b/i.test(text),
+      text
+    });
+  }
+
+  /**
+   * One figure from text: "120,000", "120k", "1.2M", "60.000" (European)
+   */
+  figure(digits, suffix) {
+    let number = digits.replace(/\s/g, '');
+
+    if (/^\d{1,3}([.,]\d{3})+$/.test(number)) {
+      number = number.replace(/[.,]/g, '');
+    } else {
+      number = number.replace(/,/g, '');
+    }
+
+    const value = Number(number);
+    if (!Number.isFinite(value)) return null;
+
+    return value * this.multiplierOf(suffix);
+  }
+
+  multiplierOf(suffix) {
+    return { k: 1000, m: 1000000 }[(suffix || '').toLowerCase()] || 1;
+  }
+
+  amount(value) {
+    const number = typeof value === 'string' ? Number(value.replace(/,/g, '')) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number > 0 ? number : null;
+  }
+
+  findCurrency(text) {
+    const code = this.currencyCodes.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(text));
+    if (code) return code;
+
+    return this.currencySymbols.find(([symbol]) => text.includes(symbol))?.[1] || null;
+  }
+
+  guessPeriod(amount) {
+    return amount !== null && amount <= this.maxHourlyRate ? 'hour' : 'year';
+  }
+
+  /**
+   * Structured salary with annual amounts, low first
+   */
+  build(min, max, { currency, period, estimated, text }) {
+    const perYear = this.periodsPerYear[period] || 1;
+    const annual = value => (value === null ? null : Math.round(value * perYear));
+    let [low, high] = [annual(min), annual(max)];
+    if (low !== null && high !== null && high < low) [low, high] = [high, low];
+
+    return { min: low, max: high, currency, period, estimated, text };
+  }
+
+  /**
+   * Source wording for figures that came without any
+   */
+  describe(min, max, currency, period) {
+    const figures = [min, max].filter(value => value !== null).map(value => value.toLocaleString('en-US'));
+    return `${currency ? `${currency} ` : ''}${figures.join(' - ')} per ${period}`;
+  }
+
+  /**
+   * Display text for a structured salary, e.g. "$120,000 – $150,000 a year"
+   */
+  format(salary) {
+    if (!salary || (salary.min === null && salary.max === null)) return null;
+
+    const money = value => {
+      if (!salary.currency) return value.toLocaleString('en-US');
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: salary.currency, maximumFractionDigits: 0 }).format(value);
+    };
+
+    let range;
+    if (salary.min !== null && salary.max !== null && salary.min !== salary.max) {
+      range = `${money(salary.min)} – ${money(salary.max)}`;
+    } else if (salary.min !== null) {
+      range = salary.max === null ? `From ${money(salary.min)}` : money(salary.min);
+    } else {
+      range = `Up to ${money(salary.max)}`;
+    }
+
+    return `${range} a year${salary.estimated ? ' (estimated)' : ''}`;
+  }
+
+  /**
+   * Annual figure used to sort and filter: the top of the range, or the
+   * only figure given
+   */
+  annualValue(salary) {
+    return salary ? salary.max ?? salary.min : null;
+  }
+}
+
+module.exports = new SalaryParser();
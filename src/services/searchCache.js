@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Search Cache Service
+ * Disk cache in front of the job provider calls, so repeated queries don't
+ * spend API quota. Entries are keyed by provider, normalized query and
+ * filters, and survive restarts (one JSON file per entry).
+ *
+ * A fresh entry is served as is. A stale entry (past its TTL but within the
+ * stale window) is served while it is refreshed in the background. Older
+ * entries are fetched again before answering.
+ */
+
+class SearchCache {
+  constructor() {
+    this.directory = path.resolve(process.env.SEARCH_CACHE_DIR || path.join(__dirname, '../../data/cache'));
+
+    // Seconds an entry is fresh (0 turns the cache off) and how much longer
+    // it may be served stale while it is refreshed
+    this.ttl = this.seconds(process.env.SEARCH_CACHE_TTL, 6 * 60 * 60);
+    this.staleTtl = this.seconds(process.env.SEARCH_CACHE_STALE_TTL, 24 * 60 * 60);
+
+    // Lookups since startup
+    this.stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0 };
+
+    // Fetches in progress, so concurrent lookups of one key share a call
+    this.pending = new Map();
+
+    if (this.enabled()) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.prune();
+    }
+  }
+
+  seconds(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+  }
+
+  enabled() {
+    return this.ttl > 0;
+  }
+
+  /**
+   * Cache key for a provider query; case and spacing of the query don't
+   * matter and filters are compared with sorted keys
+   */
+  keyOf(provider, query, filters = {}) {
+    const normalizedQuery = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    const sortedFilters = Object.fromEntries(Object.entries(filters)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .sort(([a], [b]) => a.localeCompare(b)));
+
+    return JSON.stringify([provider, normalizedQuery, sortedFilters]);
+  }
+
+  fileOf(key) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Cached value for a key, calling fetch on a miss and refreshing stale
+   * entries in the background
+   * @param {string} key - From keyOf
+   * @param {Function} fetch - Returns a promise of the value to cache
+   * @param {number} ttl - Fresh seconds for this entry, defaults to the configured TTL
+   */
+  async get(key, fetch, ttl = this.ttl) {
+    if (!this.enabled()) return fetch();
+
+    const entry = await this.read(key);
+    const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+    if (age < ttl) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (age < ttl + this.staleTtl) {
+      this.stats.staleHits++;
+      this.refresh(key, fetch).catch(error => {
+        this.stats.errors++;
+        console.error('Cache refresh failed:', error.message);
+      });
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    return this.refresh(key, fetch);
+  }
+
+  /**
+   * Fetch a value and store it, sharing the call with concurrent requests
+   */
+  refresh(key, fetch) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = (async () => {
+      try {
+        const value = await fetch();
+        await this.write(key, value);
+        this.stats.revalidations++;
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  async read(key) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.fileOf(key), 'utf-8'));
+      // A hash collision would give another key's entry
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.stats.errors++;
+        console.error('Cache read failed:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write through a temporary file so a crash never leaves a partial entry
+   */
+  async write(key, value) {
+    const file = this.fileOf(key);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    try {
+      await fs.promises.writeFile(temporary, JSON.stringify({ key, storedAt: Date.now(), value }));
+      await fs.promises.rename(temporary, file);
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Delete entries too old to be served, and leftover temporary files
+   */
+  prune() {
+    const maxAge = (this.ttl + this.staleTtl) * 1000;
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const filePath = path.join(this.directory, file);
+      try {
+        if (file.endsWith('.tmp') || Date.now() - fs.statSync(filePath).mtimeMs > maxAge) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        console.error(`Cache prune failed for ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Hit/miss counts since startup and what is stored on disk
+   */
+  summary() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    let entries = 0;
+    let bytes = 0;
+
+    if (this.enabled()) {
+      for (const file of fs.readdirSync(this.directory).filter(name => name.endsWith('.json'))) {
+        entries++;
+        bytes += fs.statSync(path.join(this.directory, file)).size;
+      }
+    }
+
+    return {
+      enabled: this.enabled(),
+      directory: this.directory,
+      ttl: this.ttl,
+      staleTtl: this.staleTtl,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.staleHits) / lookups) * 100) / 100 : null,
+      entries,
+      bytes
+    };
+  }
+}
+
+module.exports = new SearchCache();
@@ -0,0 +1,272 @@
+const taxonomyPacks = require('./taxonomyPacks');
+
+/**
+ * Skill Taxonomy Service
+ * One canonical entry per skill with its aliases and category, so "ReactJS"
+ * on a resume and "React" in a posting resolve to the same skill ID.
+ *
+ * Ambiguous short names ("Go", "R", "Swift", "Spring") only count when they
+ * appear with their usual capitalisation in a skills list, or next to a word
+ * a few words from a word that gives them away ("Go microservices", "R and
+ * ggplot2", "experience with Go", "Rust developer").
+ */
+
+class SkillTaxonomy {
+  constructor() {
+    // Words either side of an ambiguous term searched for its context
+    this.contextWindow = 3;
+
+    this.categories = ['language', 'framework', 'database', 'cloud', 'tool', 'methodology', 'soft skill'];
+
+    this.skills = [
+      // Languages
+      { id: 'javascript', name: 'JavaScript', category: 'language', aliases: ['js', 'ecmascript', 'es6'] },
+      { id: 'typescript', name: 'TypeScript', category: 'language', aliases: [] },
+      { id: 'python', name: 'Python', category: 'language', aliases: ['python3'] },
+      { id: 'java', name: 'Java', category: 'language', aliases: [] },
+      { id: 'cpp', name: 'C++', category: 'language', aliases: ['cpp'] },
+      { id: 'csharp', name: 'C#', category: 'language', aliases: ['c sharp'] },
+      { id: 'c', name: 'C', category: 'language', aliases: [], ambiguous: { term: 'C', context: ['embedded', 'firmware', 'kernel', 'c++', 'systems programming'] } },
+      { id: 'go', name: 'Go', category: 'language', aliases: ['golang'], ambiguous: { term: 'Go', context: ['goroutine', 'microservices', 'grpc', 'gin', 'backend', 'services'] } },
+      { id: 'rust', name: 'Rust', category: 'language', aliases: [], ambiguous: { term: 'Rust', context: ['cargo', 'tokio', 'systems', 'webassembly', 'wasm'] } },
+      { id: 'ruby', name: 'Ruby', category: 'language', aliases: [] },
+      { id: 'php', name: 'PHP', category: 'language', aliases: [] },
+      { id: 'swift', name: 'Swift', category: 'language', aliases: ['swiftui'], ambiguous: { term: 'Swift', context: ['ios', 'xcode', 'objective-c', 'apple', 'cocoa'] } },
+      { id: 'kotlin', name: 'Kotlin', category: 'language', aliases: [] },
+      { id: 'scala', name: 'Scala', category: 'language', aliases: [] },
+      { id: 'r', name: 'R', category: 'language', aliases: ['rstudio'], ambiguous: { term: 'R', context: ['statistics', 'statistical', 'ggplot', 'ggplot2', 'tidyverse', 'shiny', 'cran', 'dplyr'] } },
+      { id: 'matlab', name: 'MATLAB', category: 'language', aliases: [] },
+      { id: 'sql', name: 'SQL', category: 'language', aliases: ['t-sql'] },
+      { id: 'html', name: 'HTML', category: 'language', aliases: ['html5'] },
+      { id: 'css', name: 'CSS', category: 'language', aliases: ['css3'] },
+      { id: 'sass', name: 'Sass', category: 'language', aliases: ['scss'] },
+
+      // Frameworks & libraries
+      { id: 'react', name: 'React', category: 'framework', aliases: ['reactjs', 'react.js', 'react js'] },
+      { id: 'react-native', name: 'React Native', category: 'framework', aliases: [] },
+      { id: 'angular', name: 'Angular', category: 'framework', aliases: ['angularjs', 'angular.js'] },
+      { id: 'vue', name: 'Vue', category: 'framework', aliases: ['vuejs', 'vue.js'] },
+      { id: 'svelte', name: 'Svelte', category: 'framework', aliases: ['sveltekit'] },
+      { id: 'nextjs', name: 'Next.js', category: 'framework', aliases: ['nextjs', 'next js'] },
+      { id: 'nuxt', name: 'Nuxt', category: 'framework', aliases: ['nuxtjs', 'nuxt.js'] },
+      { id: 'gatsby', name: 'Gatsby', category: 'framework', aliases: [] },
+      { id: 'tailwind', name: 'Tailwind CSS', category: 'framework', aliases: ['tailwind', 'tailwindcss'] },
+      { id: 'nodejs', name: 'Node.js', category: 'framework', aliases: ['node', 'nodejs', 'node js'], ambiguous: { term: 'Node', context: ['express', 'npm', 'javascript', 'typescript', 'react', 'backend', 'api', 'apis'] } },
+      { id: 'express', name: 'Express', category: 'framework', aliases: ['expressjs', 'express.js'], ambiguous: { term: 'Express', context: ['node', 'node.js', 'nodejs', 'middleware'] } },
+      { id: 'django', name: 'Django', category: 'framework', aliases: [] },
+      { id: 'flask', name: 'Flask', category: 'framework', aliases: [] },
+      { id: 'fastapi', name: 'FastAPI', category: 'framework', aliases: [] },
+      { id: 'spring', name: 'Spring', category: 'framework', aliases: ['spring boot', 'springboot', 'spring framework'], ambiguous: { term: 'Spring', context: ['java', 'boot', 'mvc', 'hibernate', 'kotlin'] } },
+      { id: 'dotnet', name: '.NET', category: 'framework', aliases: ['dotnet', 'asp.net', '.net core'] },
+      { id: 'rails', name: 'Ruby on Rails', category: 'framework', aliases: ['rails', 'ror'] },
+      { id: 'laravel', name: 'Laravel', category: 'framework', aliases: [] },
+      { id: 'graphql', name: 'GraphQL', category: 'framework', aliases: [] },
+      { id: 'rest', name: 'REST APIs', category: 'framework', aliases: ['rest api', 'restful', 'rest apis', 'restful apis'] },
+      { id: 'microservices', name: 'Microservices', category: 'framework', aliases: ['microservice'] },
+      { id: 'tensorflow', name: 'TensorFlow', category: 'framework', aliases: [] },
+      { id: 'pytorch', name: 'PyTorch', category: 'framework', aliases: [] },
+      { id: 'scikit-learn', name: 'scikit-learn', category: 'framework', aliases: ['sklearn', 'scikit learn'] },
+      { id: 'pandas', name: 'pandas', category: 'framework', aliases: [] },
+      { id: 'numpy', name: 'NumPy', category: 'framework', aliases: [] },
+      { id: 'spark', name: 'Apache Spark', category: 'framework', aliases: ['pyspark'], ambiguous: { term: 'Spark', context: ['hadoop', 'databricks', 'big data', 'etl', 'scala', 'data pipelines'] } },
+      { id: 'hadoop', name: 'Hadoop', category: 'framework', aliases: [] },
+      { id: 'kafka', name: 'Kafka', category: 'framework', aliases: ['apache kafka'] },
+      { id: 'airflow', name: 'Airflow', category: 'framework', aliases: ['apache airflow'] },
+
+      // Databases
+      { id: 'mysql', name: 'MySQL', category: 'database', aliases: [] },
+      { id: 'postgresql', name: 'PostgreSQL', category: 'database', aliases: ['postgres', 'psql'] },
+      { id: 'mongodb', name: 'MongoDB', category: 'database', aliases: ['mongo'] },
+      { id: 'redis', name: 'Redis', category: 'database', aliases: [] },
+      { id: 'elasticsearch', name: 'Elasticsearch', category: 'database', aliases: ['elastic search', 'opensearch'] },
+      { id: 'dynamodb', name: 'DynamoDB', category: 'database', aliases: [] },
+      { id: 'cassandra', name: 'Cassandra', category: 'database', aliases: [] },
+      { id: 'sqlite', name: 'SQLite', category: 'database', aliases: [] },
+      { id: 'oracle-db', name: 'Oracle Database', category: 'database', aliases: ['oracle db', 'oracle database', 'pl/sql'] },
+      { id: 'sql-server', name: 'SQL Server', category: 'database', aliases: ['mssql', 'ms sql', 'microsoft sql server'] },
+      { id: 'snowflake', name: 'Snowflake', category: 'database', aliases: [] },
+      { id: 'bigquery', name: 'BigQuery', category: 'database', aliases: ['big query'] },
+
+      // Cloud & infrastructure
+      { id: 'aws', name: 'AWS', category: 'cloud', aliases: ['amazon web services', 'ec2', 's3'] },
+      { id: 'azure', name: 'Azure', category: 'cloud', aliases: ['microsoft azure'] },
+      { id: 'gcp', name: 'Google Cloud', category: 'cloud', aliases: ['gcp', 'google cloud platform'] },
+      { id: 'docker', name: 'Docker', category: 'cloud', aliases: [] },
+      { id: 'kubernetes', name: 'Kubernetes', category: 'cloud', aliases: ['k8s', 'eks', 'gke', 'aks'] },
+      { id: 'terraform', name: 'Terraform', category: 'cloud', aliases: [] },
+      { id: 'ansible', name: 'Ansible', category: 'cloud', aliases: [] },
+      { id: 'ci-cd', name: 'CI/CD', category: 'cloud', aliases: ['ci/cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+
+      // Tools
+      { id: 'git', name: 'Git', category: 'tool', aliases: ['github', 'gitlab', 'bitbucket'] },
+      { id: 'github-actions', name: 'GitHub Actions', category: 'tool', aliases: [] },
+      { id: 'jenkins', name: 'Jenkins', category: 'tool', aliases: [] },
+      { id: 'circleci', name: 'CircleCI', category: 'tool', aliases: ['circle ci'] },
+      { id: 'jira', name: 'Jira', category: 'tool', aliases: [] },
+      { id: 'confluence', name: 'Confluence', category: 'tool', aliases: [] },
+      { id: 'figma', name: 'Figma', category: 'tool', aliases: [] },
+      { id: 'sketch', name: 'Sketch', category: 'tool', aliases: [], ambiguous: { term: 'Sketch', context: ['figma', 'invision', 'adobe xd', 'zeplin', 'prototyping'] } },
+      { id: 'adobe-xd', name: 'Adobe XD', category: 'tool', aliases: [] },
+      { id: 'photoshop', name: 'Photoshop', category: 'tool', aliases: ['adobe photoshop'] },
+      { id: 'illustrator', name: 'Illustrator', category: 'tool', aliases: ['adobe illustrator'] },
+      { id: 'tableau', name: 'Tableau', category: 'tool', aliases: [] },
+      { id: 'power-bi', name: 'Power BI', category: 'tool', aliases: ['powerbi'] },
+      { id: 'looker', name: 'Looker', category: 'tool', aliases: [] },
+      { id: 'excel', name: 'Excel', category: 'tool', aliases: ['microsoft excel', 'ms excel'] },
+      { id: 'salesforce', name: 'Salesforce', category: 'tool', aliases: ['sfdc'] },
+      { id: 'hubspot', name: 'HubSpot', category: 'tool', aliases: [] },
+
+      // Methodologies
+      { id: 'agile', name: 'Agile', category: 'methodology', aliases: [] },
+      { id: 'scrum', name: 'Scrum', category: 'methodology', aliases: [] },
+      { id: 'kanban', name: 'Kanban', category: 'methodology', aliases: [] },
+      { id: 'tdd', name: 'Test-Driven Development', category: 'methodology', aliases: ['tdd', 'test driven development'] },
+      { id: 'devops', name: 'DevOps', category: 'methodology', aliases: [] },
+      { id: 'design-thinking', name: 'Design Thinking', category: 'methodology', aliases: [] },
+      { id: 'ab-testing', name: 'A/B Testing', category: 'methodology', aliases: ['a/b testing', 'ab testing', 'experimentation'] },
+
+      // Soft skills
+      { id: 'communication', name: 'Communication', category: 'soft skill', aliases: ['communication skills'] },
+      { id: 'leadership', name: 'Leadership', category: 'soft skill', aliases: [] },
+      { id: 'collaboration', name: 'Collaboration', category: 'soft skill', aliases: ['teamwork', 'cross-functional'] },
+      { id: 'problem-solving', name: 'Problem Solving', category: 'soft skill', aliases: ['problem-solving'] },
+      { id: 'mentoring', name: 'Mentoring', category: 'soft skill', aliases: ['mentorship', 'coaching'] },
+      { id: 'stakeholder-management', name: 'Stakeholder Management', category: 'soft skill', aliases: ['stakeholder management'] }
+    ];
+
+    // Skills added or extended by taxonomy packs
+    this.skills = taxonomyPacks.extendList('skills', this.skills, 'id', { aliases: [] });
+
+    this.compile();
+  }
+
+  /**
+   * Build lookup tables and match patterns for every skill
+   */
+  compile() {
+    this.byId = new Map();
+    this.byAlias = new Map();
+
+    for (const skill of this.skills) {
+      this.byId.set(skill.id, skill);
+
+      const terms = [skill.name, skill.id, ...skill.aliases].map(t => t.toLowerCase());
+      for (const term of new Set(terms)) {
+        if (!this.byAlias.has(term)) this.byAlias.set(term, skill.id);
+      }
+
+      // An ambiguous term must keep its usual capitalisation; other names need not
+      const ambiguousTerm = skill.ambiguous?.term.toLowerCase();
+      const plainTerms = [skill.name, ...skill.aliases].filter(t => t.toLowerCase() !== ambiguousTerm);
+      skill.pattern = this.buildPattern(plainTerms, 'i');
+      // "Go-to-market" is not Go
+      skill.ambiguousPattern = skill.ambiguous ? this.buildPattern([skill.ambiguous.term], 'g', '-') : null;
+      skill.contextPattern = skill.ambiguous ? this.buildPattern(skill.ambiguous.context, 'i') : null;
+    }
+  }
+
+  /**
+   * Whole-term regex for a list of terms. Terms may contain symbols (C++, .NET)
+   * so plain \b boundaries are not enough. `after` lists more characters
+   * that may not follow a term.
+   */
+  buildPattern(terms, flags, after = '') {
+    const unique = [...new Set(terms.filter(Boolean))];
+    if (unique.length === 0) return null;
+
+    const escaped = unique
+      .sort((a, b) => b.length - a.length)
+      .map(t => t.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+    return new RegExp(`(?<![\\w.+#])(?:${escaped.join('|')})(?![\\w+#${after}]|\\.\\w)`, flags);
+  }
+
+  /**
+   * Find canonical skills mentioned in a block of text
+   * @param {string} text - Resume or job description text
+   * @param {Object} options - { listText: text that is known to be a skills list }
+   * @returns {Array} [{ id, name, category }] in taxonomy order
+   */
+  extract(text, options = {}) {
+    const lines = (text || '').split(/\r?\n/);
+    const listLines = [
+      ...(options.listText || '').split(/\r?\n/),
+      ...lines.filter(line => this.isListLine(line))
+    ];
+
+    return this.skills
+      .filter(skill => this.mentions(skill, text || '', lines, listLines))
+      .map(skill => ({ id: skill.id, name: skill.name, category: skill.category }));
+  }
+
+  /**
+   * Check whether a skill is mentioned, applying context rules to ambiguous names
+   */
+  mentions(skill, text, lines, listLines) {
+    if (skill.pattern && skill.pattern.test(text)) {
+      return true;
+    }
+    if (!skill.ambiguousPattern) {
+      return false;
+    }
+
+    if (listLines.some(line => this.termIn(skill, line).length > 0)) {
+      return true;
+    }
+
+    return lines.some(line => {
+      const found = this.termIn(skill, line);
+      return found.some(match => this.hasContext(skill, line, match) || this.isCued(line, match));
+    });
+  }
+
+  /**
+   * Occurrences of a skill's ambiguous term in a line, with its capitalisation
+   */
+  termIn(skill, line) {
+    return [...line.matchAll(skill.ambiguousPattern)];
+  }
+
+  /**
+   * Whether one of a skill's context words is within a few words of a term
+   */
+  hasContext(skill, line, match) {
+    const before = line.slice(0, match.index).split(/\s+/).slice(-this.contextWindow - 1);
+    const after = line.slice(match.index + match[0].length).split(/\s+/).slice(0, this.contextWindow + 1);
+    return skill.contextPattern.test([...before, ...after].join(' '));
+  }
+
+  /**
+   * Whether the words around a term mark it as a skill: "with Go",
+   * "using Swift", "Rust experience", "Go developer"
+   */
+  isCued(line, match) {
+    const before = line.slice(0, match.index);
+    const after = line.slice(match.index + match[0].length);
+    return /\b(?:with|using)\s+$/i.test(before) || /^\s+(?:experience|developers?)\b/i.test(after);
+  }
+
+  /**
+   * A line that enumerates items, e.g. "Python, Go, SQL" or "React | Node | AWS"
+   */
+  isListLine(line) {
+    const items = line.split(/[,|•;]/).map(i => i.trim()).filter(Boolean);
+    return items.length >= 3 && items.every(i => i.split(/\s+/).length <= 4);
+  }
+
+  /**
+   * Resolve a free-text skill name to its canonical ID, or null
+   */
+  normalize(name) {
+    return this.byAlias.get((name || '').trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Get a skill entry by canonical ID
+   */
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+}
+
+module.exports = new SkillTaxonomy();
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Taxonomy Packs Service
+ * Loads vocabulary packs (*.json) from the packs directory at startup, so
+ * domain-specific skills, role families, seniority words, role synonyms and
+ * experience levels can be added without code changes.
+ *
+ * Packs are applied in file name order over the built-in taxonomies. In
+ * `extend` mode (the default) lists are merged and new entries added; in
+ * `override` mode an entry replaces the built-in entry with the same key.
+ * A pack that fails schema validation is reported and not applied.
+ */
+
+class TaxonomyPacks {
+  constructor() {
+    this.schemaVersion = 1;
+    this.directory = path.resolve(process.env.TAXONOMY_PACKS_DIR || path.join(__dirname, '../../data/taxonomy-packs'));
+
+    const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+    const levelLists = {
+      type: 'object',
+      additionalProperties: false,
+      properties: { entry: stringList, mid: stringList, senior: stringList, manager: stringList }
+    };
+    const yearRange = {
+      type: 'object',
+      additionalProperties: false,
+      required: ['min', 'max'],
+      properties: { min: { type: 'number' }, max: { type: 'number' } }
+    };
+
+    // Pack file schema; skill categories and level names must match the
+    // ones used by skillTaxonomy, resumeParser and jobMatcher
+    this.schema = {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'version', 'schemaVersion'],
+      properties: {
+        name: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/ },
+        version: { type: 'string', pattern: /^\d+\.\d+\.\d+$/ },
+        schemaVersion: { type: 'integer', enum: [this.schemaVersion] },
+        description: { type: 'string' },
+        mode: { type: 'string', enum: ['extend', 'override'] },
+        skills: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['id'],
+            properties: {
+              id: { type: 'string', pattern: /^[a-z0-9][a-z0-9.+#-]*$/ },
+              name: { type: 'string', minLength: 1 },
+              category: { type: 'string', enum: ['language', 'framework', 'database', 'cloud', 'tool', 'methodology', 'soft skill'] },
+              aliases: stringList,
+              ambiguous: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['term', 'context'],
+                properties: { term: { type: 'string', minLength: 1 }, context: stringList }
+              }
+            }
+          }
+        },
+        roles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['type'],
+            properties: {
+              type: { type: 'string', minLength: 1 },
+              leadership: { type: 'boolean' },
+              titles: stringList,
+              related: stringList,
+              nouns: stringList,
+              ladder: levelLists,
+              searchTitles: stringList,
+              responsibilities: stringList,
+              mockJobs: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['title', 'companies'],
+                  properties: { title: { type: 'string', minLength: 1 }, companies: stringList }
+                }
+              }
+            }
+          }
+        },
+        seniorityIndicators: levelLists,
+        roleSynonyms: { type: 'object', values: stringList },
+        experienceLevels: {
+          type: 'object',
+          additionalProperties: false,
+          properties: Object.fromEntries(
+            ['intern', 'entry', 'junior', 'mid', 'senior', 'staff', 'principal', 'lead', 'manager', 'director', 'vp']
+              .map(level => [level, yearRange])
+          )
+        }
+      }
+    };
+
+    // Vocabulary sections a pack can contain
+    this.sections = ['skills', 'roles', 'seniorityIndicators', 'roleSynonyms', 'experienceLevels'];
+
+    // Fields a pack entry needs when it adds a new entry rather than extending one
+    this.newEntryFields = { skills: ['name', 'category'], roles: ['titles'] };
+
+    this.packs = this.load();
+  }
+
+  /**
+   * Read and validate every pack file in the packs directory
+   * @returns {Array} [{ name, version, file, mode, status: 'active'|'invalid', errors, warnings, pack }]
+   */
+  load() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => {
+        const entry = { name: path.basename(file, '.json'), version: null, file, mode: null, status: 'active', errors: [], warnings: [] };
+
+        let pack;
+        try {
+          pack = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf-8'));
+        } catch (error) {
+          entry.errors.push(`invalid JSON: ${error.message}`);
+        }
+        if (pack !== undefined) {
+          this.check(pack, this.schema, 'pack', entry.errors);
+        }
+
+        if (entry.errors.length > 0) {
+          entry.status = 'invalid';
+          console.error(`Taxonomy pack ${file} was not loaded:\n  ${entry.errors.join('\n  ')}`);
+          return entry;
+        }
+
+        return { ...entry, name: pack.name, version: pack.version, mode: pack.mode || 'extend', pack };
+      });
+  }
+
+  /**
+   * Check a value against a schema node, collecting "path: problem" messages
+   */
+  check(value, schema, where, errors) {
+    const types = {
+      object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+      array: Array.isArray,
+      string: v => typeof v === 'string',
+      number: v => typeof v === 'number' && Number.isFinite(v),
+      integer: Number.isInteger,
+      boolean: v => typeof v === 'boolean'
+    };
+
+    if (!types[schema.type](value)) {
+      errors.push(`${where}: expected ${schema.type}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this.check(item, schema.items, `${where}[${index}]`, errors));
+    }
+    if (schema.type === 'object') {
+      for (const field of schema.required || []) {
+        if (value[field] === undefined) errors.push(`${where}.${field}: is required`);
+      }
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldSchema = schema.properties?.[field] || schema.values;
+        if (fieldSchema) {
+          this.check(fieldValue, fieldSchema, `${where}.${field}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${where}.${field}: unknown field`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Packs that passed validation, in the order they are applied
+   */
+  active() {
+    return this.packs.filter(entry => entry.status === 'active');
+  }
+
+  /**
+   * Summary of every pack found, for the packs listing
+   */
+  list() {
+    return {
+      directory: this.directory,
+      schemaVersion: this.schemaVersion,
+      packs: this.packs.map(({ pack, ...entry }) => ({
+        ...entry,
+        description: pack?.description || null,
+        // Number of entries in each section the pack contains
+        entries: Object.fromEntries(this.sections
+          .filter(section => pack?.[section])
+          .map(section => [section, Object.keys(pack[section]).length]))
+      }))
+    };
+  }
+
+  /**
+   * Apply packs to a built-in list of entries keyed by `key` (skills by id,
+   * role families by type)
+   * @param {string} section - Pack section name
+   * @param {Array} builtIns - Built-in entries
+   * @param {string} key - Field that identifies an entry
+   * @param {Object} defaults - Values for fields a new entry leaves out
+   * @returns {Array} The merged entries
+   */
+  extendList(section, builtIns, key, defaults = {}) {
+    const entries = [...builtIns];
+
+    for (const entry of this.active()) {
+      const { pack } = entry;
+      for (const item of pack[section] || []) {
+        const index = entries.findIndex(entry => entry[key] === item[key]);
+
+        if (index === -1) {
+          const missing = (this.newEntryFields[section] || []).filter(field => item[field] === undefined);
+          if (missing.length > 0) {
+            entry.warnings.push(`new ${section} entry "${item[key]}" needs ${missing.join(', ')}; skipped`);
+            console.error(`Taxonomy pack ${entry.file}: ${entry.warnings[entry.warnings.length - 1]}`);
+            continue;
+          }
+          entries.push({ ...structuredClone(defaults), ...structuredClone(item) });
+        } else if (pack.mode === 'override') {
+          entries[index] = { ...structuredClone(defaults), ...structuredClone(item) };
+        } else {
+          entries[index] = this.merge(entries[index], item);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Apply packs to a built-in map (seniority indicators, role synonyms,
+   * experience levels). Built-in keys keep their order; new keys follow.
+   */
+  extendMap(section, builtIns) {
+    const map = { ...builtIns };
+
+    for (const { pack } of this.active()) {
+      for (const [key, value] of Object.entries(pack[section] || {})) {
+        map[key] = pack.mode === 'override' || map[key] === undefined
+          ? structuredClone(value)
+          : this.merge(map[key], value);
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Extend a value with a pack's: lists gain new items, objects are merged
+   * field by field and anything else is replaced
+   */
+  merge(base, extra) {
+    if (Array.isArray(base) && Array.isArray(extra)) {
+      const seen = new Set(base.map(item => JSON.stringify(item)));
+      return [...base, ...extra.filter(item => !seen.has(JSON.stringify(item)))];
+    }
+    if (base && extra && typeof base === 'object' && typeof extra === 'object') {
+      const merged = { ...base };
+      for (const [field, value] of Object.entries(extra)) {
+        merged[field] = field in base ? this.merge(base[field], value) : structuredClone(value);
+      }
+      return merged;
+    }
+    return extra;
+  }
+}
+
+module.exports = new TaxonomyPacks();